@@ -0,0 +1,1062 @@
+/**
+ * Markdown 办公编辑器 - Markdown 渲染管线
+ * =====================================
+ * 
+ * 主页面和预览渲染 Worker (render-worker.js) 共用的解析代码，不依赖 DOM（主线程中按需加载高亮语言除外）:
+ * - marked 配置与 highlight.js 代码高亮，不常用的语言在第一次用到时加载
+ * - 代码块的文件名标题、行号和行高亮（```js title="app.js" {3-5}）
+ * - KaTeX 数学公式 ($行内$ 与 $$块级$$)
+ * - mermaid 图表代码块（只输出源码容器，SVG 由主线程渲染）
+ * - 扩展语法：脚注、提示块、定义列表、==高亮==、上标/下标（可在设置中分别关闭）
+ * - 文档开头的 YAML front matter：解析为元数据，预览中显示为可折叠的信息卡片
+ * - 标题锚点（支持中文的 slug，重复时加序号）和 [TOC] 目录
+ * - 按顶层块拆分 Markdown 并记录源码位置和标题（供大纲使用）
+ * - 分块渲染器：为每个块分配稳定的 ID，只渲染新出现的块
+ * 
+ * 依赖全局的 marked、hljs 和 katex，需在 vendor 库之后加载。
+ */
+
+/**
+ * 转义 HTML 特殊字符
+ *
+ * @param {string} text - 原始文本
+ * @returns {string} 可安全插入 HTML 的文本
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// highlight.min.js 内置了常用的 36 种语言，其余语言的语法文件放在 vendor/highlight.js/languages/，
+// 代码块第一次用到时才加载。Worker 中用 importScripts 同步加载；主线程中异步插入 <script>，
+// 加载完成后派发 HIGHLIGHT_LANGUAGE_EVENT，页面重新渲染时等待该语言的块会重新高亮。
+const HIGHLIGHT_LANGUAGE_PATH = 'vendor/highlight.js/languages/';
+const HIGHLIGHT_LANGUAGE_EVENT = 'highlightlanguageload';
+
+// 按需加载的语言 → 别名（与语法文件中声明的一致，加载前用来查找文件）
+const LAZY_HIGHLIGHT_LANGUAGES = {
+    apache: ['apacheconf'],
+    arduino: ['ino'],
+    awk: [],
+    clojure: ['clj', 'edn'],
+    cmake: ['cmake.in'],
+    dart: [],
+    dockerfile: ['docker'],
+    dos: ['bat', 'batch', 'cmd'],
+    elixir: ['ex', 'exs'],
+    elm: [],
+    erlang: ['erl'],
+    fortran: ['f90', 'f95'],
+    fsharp: ['fs', 'f#'],
+    glsl: [],
+    gradle: [],
+    groovy: [],
+    handlebars: ['hbs', 'html.hbs', 'html.handlebars', 'htmlbars'],
+    haskell: ['hs'],
+    http: ['https'],
+    julia: [],
+    latex: ['tex'],
+    lisp: [],
+    llvm: [],
+    matlab: [],
+    nginx: ['nginxconf'],
+    nix: ['nixos'],
+    ocaml: ['ml'],
+    powershell: ['pwsh', 'ps', 'ps1'],
+    properties: [],
+    protobuf: ['proto'],
+    scala: [],
+    scheme: ['scm'],
+    tcl: ['tk'],
+    verilog: ['v', 'sv', 'svh'],
+    vhdl: [],
+    vim: [],
+    x86asm: []
+};
+
+const lazyHighlightLanguageNames = new Map(); // 名称或别名 → 语法文件名
+Object.entries(LAZY_HIGHLIGHT_LANGUAGES).forEach(([name, aliases]) => {
+    [name, ...aliases].forEach(alias => lazyHighlightLanguageNames.set(alias, name));
+});
+const highlightLanguageStates = new Map(); // 语法文件名 → 'loading' | 'loaded' | 'failed'
+let pendingHighlightLanguages = null; // 正在渲染的块中等待加载的语言，为 null 时不记录
+
+/**
+ * 加载按需语言的语法文件
+ * 
+ * @param {string} name - 语法文件名（LAZY_HIGHLIGHT_LANGUAGES 的键）
+ */
+function loadHighlightLanguage(name) {
+    if (highlightLanguageStates.has(name)) return;
+    const url = `${HIGHLIGHT_LANGUAGE_PATH}${name}.min.js`;
+    
+    if (typeof importScripts === 'function') {
+        try {
+            importScripts(url);
+            highlightLanguageStates.set(name, 'loaded');
+        } catch (error) {
+            console.error(`加载代码高亮语言 ${name} 失败:`, error);
+            highlightLanguageStates.set(name, 'failed');
+        }
+        return;
+    }
+    
+    highlightLanguageStates.set(name, 'loading');
+    const script = document.createElement('script');
+    script.src = url;
+    script.addEventListener('load', () => {
+        highlightLanguageStates.set(name, hljs.getLanguage(name) ? 'loaded' : 'failed');
+        dispatchEvent(new CustomEvent(HIGHLIGHT_LANGUAGE_EVENT, { detail: name }));
+    });
+    script.addEventListener('error', () => {
+        console.error(`加载代码高亮语言 ${name} 失败`);
+        highlightLanguageStates.set(name, 'failed');
+        dispatchEvent(new CustomEvent(HIGHLIGHT_LANGUAGE_EVENT, { detail: name }));
+    });
+    document.head.appendChild(script);
+}
+
+/**
+ * 使用 highlight.js 高亮代码
+ *
+ * 指定的语言已注册时按该语言高亮；是尚未加载的按需语言时先加载，
+ * 异步加载期间输出未高亮的代码；其余情况自动检测语言。
+ *
+ * @param {string} code - 代码文本
+ * @param {string} lang - 代码块声明的语言
+ * @returns {string} 高亮后的 HTML
+ */
+function highlightCode(code, lang) {
+    if (typeof hljs === 'undefined') return escapeHtml(code);
+    
+    const lazyName = lang && !hljs.getLanguage(lang) && lazyHighlightLanguageNames.get(lang.toLowerCase());
+    if (lazyName) {
+        loadHighlightLanguage(lazyName);
+        if (highlightLanguageStates.get(lazyName) === 'loading') {
+            // 不自动检测，避免加载完成前先显示成其他语言的高亮
+            if (pendingHighlightLanguages) pendingHighlightLanguages.add(lazyName);
+            return escapeHtml(code);
+        }
+    }
+    
+    if (lang && hljs.getLanguage(lang)) {
+        try {
+            return hljs.highlight(code, { language: lang }).value;
+        } catch (err) {}
+    }
+    return hljs.highlightAuto(code).value;
+}
+
+// 代码块信息字符串中语言之后的选项，例如 ```js title="app.js" {3-5,8} showLineNumbers
+const CODE_INFO_TITLE_PATTERN = /(?:^|\s)title=(?:"([^"]*)"|'([^']*)'|(\S+))/;
+const CODE_INFO_LINES_PATTERN = /\{([\d\s,-]+)\}/;
+const CODE_INFO_LINE_NUMBERS_PATTERN = /(?:^|\s)showLineNumbers(?=\s|$)/;
+const CODE_HIGHLIGHT_LINES_MAX = 10000; // 行范围展开的上限，防止 {1-999999999} 这样的写法
+
+/**
+ * 解析代码块的信息字符串
+ * 
+ * @param {string} info - ``` 之后的整行文字
+ * @returns {{language: string, title: string, highlightLines: Set<number>, lineNumbers: boolean}}
+ */
+function parseCodeInfo(info) {
+    info = (info || '').trim();
+    const firstWord = info.split(/\s+/)[0];
+    const language = /^(\{|title=|showLineNumbers$)/.test(firstWord) ? '' : firstWord;
+    
+    const titleMatch = CODE_INFO_TITLE_PATTERN.exec(info);
+    const title = titleMatch ? (titleMatch[1] ?? titleMatch[2] ?? titleMatch[3]) : '';
+    
+    const highlightLines = new Set();
+    const linesMatch = CODE_INFO_LINES_PATTERN.exec(info);
+    if (linesMatch) {
+        linesMatch[1].split(',').forEach(part => {
+            const [from, to = from] = part.split('-').map(value => parseInt(value, 10));
+            if (!(from > 0) || !(to >= from)) return;
+            for (let line = from; line <= Math.min(to, from + CODE_HIGHLIGHT_LINES_MAX); line++) {
+                highlightLines.add(line);
+            }
+        });
+    }
+    
+    return { language, title, highlightLines, lineNumbers: CODE_INFO_LINE_NUMBERS_PATTERN.test(info) };
+}
+
+/**
+ * 把高亮后的 HTML 按行拆分
+ * 
+ * highlight.js 的 <span> 可能跨越多行（如多行注释），在换行处闭合并在下一行重新打开，
+ * 使每行都是完整的 HTML 片段。
+ * 
+ * @param {string} html - highlightCode 的输出
+ * @returns {string[]} 每行的 HTML
+ */
+function splitHighlightedLines(html) {
+    const lines = [];
+    const openTags = [];
+    let line = '';
+    html.split(/(<span[^>]*>|<\/span>|\n)/).forEach(part => {
+        if (part === '\n') {
+            lines.push(line + '</span>'.repeat(openTags.length));
+            line = openTags.join('');
+        } else {
+            if (part.startsWith('<span')) {
+                openTags.push(part);
+            } else if (part === '</span>') {
+                openTags.pop();
+            }
+            line += part;
+        }
+    });
+    lines.push(line);
+    return lines;
+}
+
+// 配置 marked 使用 highlight.js 进行代码高亮
+// marked 新版本移除了 highlight 选项，改为通过自定义 code 渲染器实现
+marked.use({
+    breaks: true,
+    gfm: true,
+    renderer: {
+        heading(token) {
+            // slug 由分块渲染器按全文去重后写入 token，其他场景直接按文字生成
+            const id = HEADING_ID_PREFIX + (token.slug || slugifyHeading(tokensToText(token.tokens)));
+            return `<h${token.depth} id="${escapeHtml(id)}">${this.parser.parseInline(token.tokens)}</h${token.depth}>\n`;
+        },
+        code({ text, lang }) {
+            const info = parseCodeInfo(lang);
+            const language = info.language;
+            if (DIAGRAM_LANGUAGES.includes(language.toLowerCase())) {
+                return renderDiagramBlock(text, language.toLowerCase());
+            }
+            const langClass = language ? ` language-${escapeHtml(language)}` : '';
+            let body = highlightCode(text, language);
+            
+            const lineNumbers = info.lineNumbers || syntaxOptions.codeLineNumbers;
+            if (lineNumbers || info.highlightLines.size > 0) {
+                body = splitHighlightedLines(body).map((line, index) => {
+                    const highlighted = info.highlightLines.has(index + 1) ? ' highlighted' : '';
+                    return `<span class="code-line${highlighted}">${line}</span>`;
+                }).join('\n');
+            }
+            
+            const title = info.title ? `<div class="code-block-title">${escapeHtml(info.title)}</div>` : '';
+            return `<div class="code-block${lineNumbers ? ' line-numbers' : ''}">${title}` +
+                `<pre><code class="hljs${langClass}">${body}</code></pre></div>\n`;
+        },
+        checkbox({ checked }) {
+            // 预览中由主线程启用并写回源码（见 script.js 任务列表），导出的 HTML 保持禁用
+            return `<input type="checkbox" class="task-list-checkbox"${checked ? ' checked=""' : ''} disabled=""> `;
+        }
+    }
+});
+
+// 嵌入内容: KaTeX 公式和图表的 HTML 含有 style 属性、MathML 和 SVG，无法通过预览的 HTML 过滤。
+// 因此块 HTML 中只放一个 <md-embed> 占位元素，嵌入内容的 HTML 单独返回，
+// 由主线程在过滤之后替换占位元素。嵌入 HTML 只由本文件中的渲染函数生成，
+// 其中来自文档的文本都已转义（KaTeX 也会转义公式中的文本）。
+const EMBED_PLACEHOLDER_TAG = 'md-embed';
+let embedOutputs = null; // 正在渲染的块收集到的嵌入 HTML，为 null 时直接输出
+
+// 按图表渲染的代码块语言（图表在主线程中由 mermaid 渲染为 SVG）
+const DIAGRAM_LANGUAGES = ['mermaid'];
+
+/**
+ * 输出嵌入内容：在分块渲染中返回占位元素，否则直接返回 HTML
+ * 
+ * @param {string} html - 嵌入内容的 HTML
+ * @returns {string}
+ */
+function embedHtml(html) {
+    if (!embedOutputs) return html;
+    embedOutputs.push(html);
+    return `<${EMBED_PLACEHOLDER_TAG} data-embed-id="${embedOutputs.length - 1}"></${EMBED_PLACEHOLDER_TAG}>`;
+}
+
+/**
+ * 输出图表代码块
+ * 
+ * 图表需要 DOM 才能渲染，这里只输出包含源码的容器，由主线程渲染后插入 SVG。
+ * 
+ * @param {string} source - 图表源码
+ * @param {string} type - 图表语言
+ * @returns {string}
+ */
+function renderDiagramBlock(source, type) {
+    return embedHtml(`<div class="diagram" data-diagram-type="${escapeHtml(type)}"><pre class="diagram-source"><code>${escapeHtml(source)}</code></pre></div>`) + '\n';
+}
+
+/**
+ * 渲染一个公式
+ * 
+ * 语法错误不会中断渲染，而是显示出错的源码，错误信息放在提示中。
+ * 
+ * @param {string} tex - LaTeX 源码
+ * @param {boolean} displayMode - 是否为块级公式
+ * @returns {string} 公式 HTML 或占位元素
+ */
+function renderMath(tex, displayMode) {
+    const delimiter = displayMode ? '$$' : '$';
+    let html;
+    
+    if (typeof katex === 'undefined') {
+        html = `<code class="math-source">${escapeHtml(delimiter + tex + delimiter)}</code>`;
+    } else {
+        try {
+            html = katex.renderToString(tex, { displayMode, throwOnError: true, strict: 'ignore' });
+        } catch (error) {
+            const message = escapeHtml(error.message);
+            html = `<span class="math-error" title="${message}"><code>${escapeHtml(delimiter + tex + delimiter)}</code>` +
+                (displayMode ? `<span class="math-error-message">${message}</span>` : '') + '</span>';
+        }
+    }
+    
+    return embedHtml(html);
+}
+
+marked.use({
+    extensions: [
+        {
+            // 独占行首的 $$ ... $$，可以跨多行
+            name: 'mathBlock',
+            level: 'block',
+            start(src) {
+                const match = /^\$\$/m.exec(src);
+                return match ? match.index : undefined;
+            },
+            tokenizer(src) {
+                const match = /^\$\$([\s\S]+?)\$\$[^\S\n]*(?:\n|$)/.exec(src);
+                if (match) {
+                    return { type: 'mathBlock', raw: match[0], text: match[1].trim() };
+                }
+            },
+            renderer(token) {
+                return `<div class="math-block">${renderMath(token.text, true)}</div>\n`;
+            }
+        },
+        {
+            // 行内 $...$：$ 后不能是空白，结束的 $ 前不能是空白、后面不能紧跟数字，
+            // 避免把 "$5 和 $10" 这样的金额识别为公式；行内的 $$...$$ 按块级公式显示
+            name: 'mathInline',
+            level: 'inline',
+            start(src) {
+                const index = src.indexOf('$');
+                return index === -1 ? undefined : index;
+            },
+            tokenizer(src) {
+                let match = /^\$\$((?:\\[\s\S]|[^\\$])+?)\$\$/.exec(src);
+                if (match) {
+                    return { type: 'mathInline', raw: match[0], text: match[1].trim(), displayMode: true };
+                }
+                match = /^\$(?![\s$])((?:\\[\s\S]|[^\\$])+?)(?<!\s)\$(?!\d)/.exec(src);
+                if (match) {
+                    return { type: 'mathInline', raw: match[0], text: match[1], displayMode: false };
+                }
+            },
+            renderer(token) {
+                return renderMath(token.text, token.displayMode);
+            }
+        }
+    ]
+});
+
+// 扩展语法的默认开关，实际使用的开关由 createBlockRenderer 的 render() 传入
+const MARKDOWN_SYNTAX_DEFAULTS = {
+    footnotes: true,       // [^1] 脚注
+    admonitions: true,     // > [!NOTE] 提示块
+    definitionLists: true, // 术语\n: 定义
+    highlight: true,       // ==高亮==
+    subSuperscript: true,  // H~2~O、x^2^
+    toc: true,             // [TOC] 目录
+    tocDepth: 3,           // 目录包含的最深标题级别
+    tocNumbering: false,   // 目录条目前加 1.2.3 编号
+    codeLineNumbers: false // 所有代码块显示行号（单个代码块可用 showLineNumbers）
+};
+let syntaxOptions = { ...MARKDOWN_SYNTAX_DEFAULTS };
+
+// 提示块类型及默认标题，写法与 GitHub 相同
+const ADMONITION_TITLES = {
+    note: '备注',
+    tip: '提示',
+    important: '重要',
+    warning: '警告',
+    caution: '注意'
+};
+
+// 当前文档中脚注标签 → 编号（按定义出现的顺序），由分块渲染器在渲染前设置
+let footnoteNumbers = new Map();
+
+/**
+ * 查找扩展语法可能开始的位置，对应的语法关闭时不查找
+ * 
+ * @param {string} option - syntaxOptions 中的开关名
+ * @param {function(string): number} find - 返回位置，未找到时返回 -1
+ * @returns {function(string): (number|undefined)} marked 扩展的 start 函数
+ */
+function syntaxStart(option, find) {
+    return src => {
+        if (!syntaxOptions[option]) return undefined;
+        const index = find(src);
+        return index === -1 ? undefined : index;
+    };
+}
+
+marked.use({
+    extensions: [
+        {
+            // [^标签]: 脚注内容，后续缩进的行属于同一条脚注。
+            // 定义在原位置不显示，由分块渲染器集中输出到文档末尾
+            name: 'footnoteDefinition',
+            level: 'block',
+            start: syntaxStart('footnotes', src => src.search(/^\[\^[^\]\s]+\]:/m)),
+            tokenizer(src) {
+                if (!syntaxOptions.footnotes) return;
+                const match = /^\[\^([^\]\s]+)\]:[^\S\n]*([^\n]*(?:\n(?:[^\S\n]*\n)*(?: {4}|\t)[^\n]*)*)(?:\n|$)/.exec(src);
+                if (match) {
+                    const text = match[2].replace(/^(?: {4}|\t)/gm, '');
+                    return { type: 'footnoteDefinition', raw: match[0], label: match[1], tokens: this.lexer.blockTokens(text, []) };
+                }
+            },
+            renderer() {
+                return '';
+            }
+        },
+        {
+            // > [!NOTE] 提示块，标记后面的文字作为自定义标题
+            name: 'admonition',
+            level: 'block',
+            start: syntaxStart('admonitions', src => src.search(/^ {0,3}>[^\S\n]?\[!/m)),
+            tokenizer(src) {
+                if (!syntaxOptions.admonitions) return;
+                const match = /^ {0,3}>[^\S\n]?\[!(note|tip|important|warning|caution)\]([^\n]*)(?:\n|$)((?: {0,3}>[^\n]*(?:\n|$))*)/i.exec(src);
+                if (match) {
+                    const body = match[3].replace(/^ {0,3}>[^\S\n]?/gm, '');
+                    return {
+                        type: 'admonition',
+                        raw: match[0],
+                        kind: match[1].toLowerCase(),
+                        title: this.lexer.inlineTokens(match[2].trim()),
+                        tokens: this.lexer.blockTokens(body, [])
+                    };
+                }
+            },
+            renderer(token) {
+                const title = token.title.length > 0 ? this.parser.parseInline(token.title) : ADMONITION_TITLES[token.kind];
+                return `<div class="admonition admonition-${token.kind}"><p class="admonition-title">${title}</p>\n${this.parser.parse(token.tokens)}</div>\n`;
+            }
+        },
+        {
+            // 定义列表：术语独占一行，下面每个以 ": " 开头的行是一条定义，
+            // 定义的后续缩进行属于同一条定义；空行分隔的多组术语合并为一个列表
+            name: 'definitionList',
+            level: 'block',
+            start: syntaxStart('definitionLists', src => src.search(/^[^\n]+\n {0,3}:[^\S\n]/m)),
+            tokenizer(src) {
+                if (!syntaxOptions.definitionLists) return;
+                const groupPattern = /^(?![^\S\n]*(?:[#>|]|[-*+][^\S\n]|\d+[.)][^\S\n]|```|~~~))([^\s:][^\n]*)\n((?: {0,3}:[^\S\n]+[^\n]*(?:\n|$)(?:(?: {2,}|\t)[^\n]*\S[^\n]*(?:\n|$))*)+)/;
+                const items = [];
+                let raw = '';
+                let rest = src;
+                let match;
+                
+                while ((match = groupPattern.exec(rest))) {
+                    items.push({
+                        term: this.lexer.inlineTokens(match[1].trim()),
+                        definitions: match[2].split(/\n(?= {0,3}:[^\S\n])/).map(definition =>
+                            this.lexer.inlineTokens(definition.replace(/^ {0,3}:[^\S\n]+/, '').replace(/\n[^\S\n]+/g, '\n').trim()))
+                    });
+                    raw += match[0];
+                    rest = rest.slice(match[0].length);
+                    
+                    const gap = /^(?:[^\S\n]*\n)+/.exec(rest);
+                    if (!gap || !groupPattern.test(rest.slice(gap[0].length))) break;
+                    raw += gap[0];
+                    rest = rest.slice(gap[0].length);
+                }
+                
+                if (items.length > 0) {
+                    return { type: 'definitionList', raw, items };
+                }
+            },
+            renderer(token) {
+                const body = token.items.map(item =>
+                    `<dt>${this.parser.parseInline(item.term)}</dt>\n` +
+                    item.definitions.map(definition => `<dd>${this.parser.parseInline(definition)}</dd>\n`).join('')
+                ).join('');
+                return `<dl>\n${body}</dl>\n`;
+            }
+        },
+        {
+            // 脚注引用 [^标签]，没有对应定义时按原文显示
+            name: 'footnoteReference',
+            level: 'inline',
+            start: syntaxStart('footnotes', src => src.indexOf('[^')),
+            tokenizer(src) {
+                if (!syntaxOptions.footnotes) return;
+                const match = /^\[\^([^\]\s]+)\]/.exec(src);
+                if (match) {
+                    return { type: 'footnoteReference', raw: match[0], label: match[1] };
+                }
+            },
+            renderer(token) {
+                // 编号在分块渲染时才确定（解析时还不知道全文有哪些定义）
+                if (!footnoteNumbers.has(token.label)) return escapeHtml(token.raw);
+                const label = escapeHtml(token.label);
+                return `<sup class="footnote-ref"><a href="#fn-${label}" id="fnref-${label}">${footnoteNumbers.get(token.label)}</a></sup>`;
+            }
+        },
+        {
+            name: 'highlight',
+            level: 'inline',
+            start: syntaxStart('highlight', src => src.indexOf('==')),
+            tokenizer(src) {
+                if (!syntaxOptions.highlight) return;
+                const match = /^==(?=[^\s=])((?:\\[\s\S]|[^\\\n])*?[^\s\\])==(?!=)/.exec(src);
+                if (match) {
+                    return { type: 'highlight', raw: match[0], tokens: this.lexer.inlineTokens(match[1]) };
+                }
+            },
+            renderer(token) {
+                return `<mark>${this.parser.parseInline(token.tokens)}</mark>`;
+            }
+        },
+        {
+            // H~2~O：单个 ~ 包围且中间没有空白，~~删除线~~ 不受影响
+            name: 'subscript',
+            level: 'inline',
+            start: syntaxStart('subSuperscript', src => src.indexOf('~')),
+            tokenizer(src) {
+                if (!syntaxOptions.subSuperscript) return;
+                const match = /^~(?!~)((?:\\[\s\S]|[^\\\s~])+)~(?!~)/.exec(src);
+                if (match) {
+                    return { type: 'subscript', raw: match[0], tokens: this.lexer.inlineTokens(match[1]) };
+                }
+            },
+            renderer(token) {
+                return `<sub>${this.parser.parseInline(token.tokens)}</sub>`;
+            }
+        },
+        {
+            // x^2^：中间没有空白，避免误识别 "2^10 和 3^4" 这样的文字
+            name: 'superscript',
+            level: 'inline',
+            start: syntaxStart('subSuperscript', src => src.indexOf('^')),
+            tokenizer(src) {
+                if (!syntaxOptions.subSuperscript) return;
+                const match = /^\^((?:\\[\s\S]|[^\\\s^])+)\^/.exec(src);
+                if (match) {
+                    return { type: 'superscript', raw: match[0], tokens: this.lexer.inlineTokens(match[1]) };
+                }
+            },
+            renderer(token) {
+                return `<sup>${this.parser.parseInline(token.tokens)}</sup>`;
+            }
+        }
+    ]
+});
+
+// 当前文档的目录条目 [{level, text, slug}]，由分块渲染器在渲染前设置
+let tableOfContents = [];
+// 标题锚点 ID 的前缀（与 GitHub 相同）。DOMPurify 会移除与 document 属性同名的 id，
+// 不加前缀时 "Title"、"Links"、"Images" 等标题的锚点会被过滤掉
+const HEADING_ID_PREFIX = 'user-content-';
+
+/**
+ * 由标题文字生成锚点 ID
+ * 
+ * 与 GitHub 的规则相近：转为小写，去掉标点，空白替换为 -；中文等非拉丁文字原样保留。
+ * 
+ * @param {string} text - 标题纯文本
+ * @returns {string}
+ */
+function slugifyHeading(text) {
+    return text.trim().toLowerCase()
+        .replace(/[^\p{L}\p{M}\p{N}\s_-]/gu, '')
+        .replace(/\s+/g, '-') || 'section';
+}
+
+/**
+ * 生成全文唯一的锚点 ID，重复的标题依次加上 -1、-2
+ * 
+ * @param {string} slug - 按文字生成的 ID
+ * @param {Set<string>} used - 已使用的 ID
+ * @returns {string}
+ */
+function uniqueSlug(slug, used) {
+    let result = slug;
+    for (let i = 1; used.has(result); i++) {
+        result = `${slug}-${i}`;
+    }
+    used.add(result);
+    return result;
+}
+
+/**
+ * 输出目录
+ * 
+ * @returns {string}
+ */
+function renderTableOfContents() {
+    if (tableOfContents.length === 0) {
+        return '<div class="toc toc-empty"><p class="toc-title">目录</p><p>文档中还没有标题</p></div>\n';
+    }
+    
+    let html = '<div class="toc">\n<p class="toc-title">目录</p>\n';
+    const levels = []; // 当前打开的各层列表对应的标题级别
+    const counters = [];
+    
+    tableOfContents.forEach(entry => {
+        if (levels.length === 0 || entry.level > levels[levels.length - 1]) {
+            html += '<ul>\n';
+            levels.push(entry.level);
+            counters.push(0);
+        } else {
+            html += '</li>\n';
+            while (levels.length > 1 && entry.level < levels[levels.length - 1]) {
+                html += '</ul>\n</li>\n';
+                levels.pop();
+                counters.pop();
+            }
+        }
+        counters[counters.length - 1]++;
+        const number = syntaxOptions.tocNumbering ? `<span class="toc-number">${counters.join('.')}</span> ` : '';
+        html += `<li><a href="#${escapeHtml(HEADING_ID_PREFIX + entry.slug)}">${number}${escapeHtml(entry.text)}</a>`;
+    });
+    
+    html += '</li>\n';
+    while (levels.length > 0) {
+        html += '</ul>\n';
+        levels.pop();
+        if (levels.length > 0) html += '</li>\n';
+    }
+    return html + '</div>\n';
+}
+
+marked.use({
+    extensions: [
+        {
+            // 独占一行的 [TOC] 或 [[toc]]，不区分大小写
+            name: 'toc',
+            level: 'block',
+            start: syntaxStart('toc', src => src.search(/^ {0,3}\[\[?toc\]/im)),
+            tokenizer(src) {
+                if (!syntaxOptions.toc) return;
+                const match = /^ {0,3}\[(?:toc|\[toc\])\][^\S\n]*(?:\n|$)/i.exec(src);
+                if (match) {
+                    return { type: 'toc', raw: match[0] };
+                }
+            },
+            renderer() {
+                return renderTableOfContents();
+            }
+        }
+    ]
+});
+
+/**
+ * 输出文档末尾的脚注列表
+ * 
+ * @param {Array<{label: string, tokens: Array}>} definitions - 按编号排列的脚注定义
+ * @returns {string}
+ */
+function renderFootnotes(definitions) {
+    const items = definitions.map(definition => {
+        const label = escapeHtml(definition.label);
+        const backref = `<a href="#fnref-${label}" class="footnote-backref" title="返回正文">↩</a>`;
+        let content = marked.parser(definition.tokens);
+        // 返回链接放在最后一段的末尾
+        content = /<\/p>\n?$/.test(content) ? content.replace(/<\/p>\n?$/, ` ${backref}</p>\n`) : content + backref;
+        return `<li id="fn-${label}">${content}</li>\n`;
+    });
+    return `<div class="footnotes">\n<ol>\n${items.join('')}</ol>\n</div>\n`;
+}
+
+// ========================================
+// YAML front matter
+// ========================================
+// 只支持元数据常用的 YAML 子集：key: value、带引号的字符串、[a, b] 行内列表、
+// "- 项" 块列表、| 和 > 多行文本以及 # 注释。无法解析时不当作 front matter，按普通 Markdown 渲染。
+const FRONT_MATTER_PATTERN = /^---[^\S\n]*\n(?:([\s\S]*?)\n)?(?:---|\.\.\.)[^\S\n]*(?:\n|$)/;
+
+// 信息卡片中常用字段的显示名称和顺序
+const FRONT_MATTER_LABELS = {
+    title: '标题',
+    author: '作者',
+    date: '日期',
+    tags: '标签',
+    description: '描述'
+};
+
+/**
+ * 解析 YAML 标量值
+ * 
+ * @param {string} text - 冒号后的原始文本
+ * @returns {string|boolean|Array<string>}
+ */
+function parseYamlScalar(text) {
+    const value = text.replace(/(^|\s)#.*$/, '').trim();
+    if (/^"(?:[^"\\]|\\.)*"$/.test(value)) {
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return value.slice(1, -1);
+        }
+    }
+    if (/^'(?:[^']|'')*'$/.test(value)) {
+        return value.slice(1, -1).replace(/''/g, "'");
+    }
+    if (/^\[.*\]$/.test(value)) {
+        return value.slice(1, -1).split(',').map(item => parseYamlScalar(item)).filter(item => item !== '');
+    }
+    if (value === 'true' || value === 'false') {
+        return value === 'true';
+    }
+    return value === '~' || value === 'null' ? '' : value;
+}
+
+/**
+ * 解析 front matter 中的 YAML
+ * 
+ * @param {string} text - 两个 --- 之间的文本
+ * @returns {Object|null} 字段对象，含有不支持的写法或没有任何字段时返回 null
+ */
+function parseYamlFrontMatter(text) {
+    const data = {};
+    const lines = text.split('\n');
+    
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if (/^\s*(?:#.*)?$/.test(line)) continue;
+        
+        const match = /^([A-Za-z_][\w-]*)[^\S\n]*:(?:[^\S\n]+(.*))?$/.exec(line);
+        if (!match) return null;
+        const [, key, rest = ''] = match;
+        
+        if (/^[|>][+-]?\s*$/.test(rest)) {
+            // 多行文本：| 保留换行，> 把换行折叠为空格
+            const block = [];
+            while (i + 1 < lines.length && /^(?:\s+\S|\s*$)/.test(lines[i + 1])) {
+                block.push(lines[++i].trim());
+            }
+            data[key] = (rest[0] === '|' ? block.join('\n') : block.join(' ').replace(/\s+/g, ' ')).trim();
+        } else if (rest.trim() === '' && i + 1 < lines.length && /^\s*-\s/.test(lines[i + 1])) {
+            const items = [];
+            while (i + 1 < lines.length && /^\s*-\s/.test(lines[i + 1])) {
+                items.push(parseYamlScalar(lines[++i].replace(/^\s*-\s/, '')));
+            }
+            data[key] = items;
+        } else {
+            data[key] = parseYamlScalar(rest);
+        }
+    }
+    
+    // 只有空行和 # 行的内容（如 --- / # 标题 / ---）不是元数据，按普通 Markdown 显示
+    return Object.keys(data).length > 0 ? data : null;
+}
+
+/**
+ * 提取文档开头的 front matter
+ * 
+ * @param {string} markdown - Markdown 文本
+ * @returns {{raw: string, data: Object}|null} 没有 front matter 时返回 null
+ */
+function extractFrontMatter(markdown) {
+    const source = markdown.replace(/\r\n?/g, '\n');
+    const match = FRONT_MATTER_PATTERN.exec(source);
+    if (!match) return null;
+    
+    const data = parseYamlFrontMatter(match[1] || '');
+    return data ? { raw: match[0], data } : null;
+}
+
+/**
+ * 输出 front matter 字段值的 HTML
+ * 
+ * @param {string} key - 字段名
+ * @param {*} value - 字段值
+ * @returns {string}
+ */
+function renderFrontMatterValue(key, value) {
+    if (key === 'tags') {
+        const tags = Array.isArray(value) ? value : String(value).split(/[,，]/);
+        return tags.map(tag => String(tag).trim()).filter(Boolean)
+            .map(tag => `<span class="front-matter-tag">${escapeHtml(tag)}</span>`).join(' ');
+    }
+    return escapeHtml(Array.isArray(value) ? value.join('、') : String(value));
+}
+
+marked.use({
+    extensions: [
+        {
+            // front matter 由 splitMarkdownBlocks 识别，这里只负责输出信息卡片
+            name: 'frontMatter',
+            renderer(token) {
+                const keys = Object.keys(token.data);
+                const ordered = [
+                    ...Object.keys(FRONT_MATTER_LABELS).filter(key => keys.includes(key)),
+                    ...keys.filter(key => !(key in FRONT_MATTER_LABELS))
+                ];
+                const fields = ordered.map(key =>
+                    `<dt>${escapeHtml(FRONT_MATTER_LABELS[key] || key)}</dt><dd>${renderFrontMatterValue(key, token.data[key])}</dd>\n`
+                ).join('');
+                const title = token.data.title ? `<span class="front-matter-title">${escapeHtml(String(token.data.title))}</span>` : '';
+                return `<details class="front-matter"><summary>文档信息${title}</summary>\n<dl class="front-matter-fields">\n${fields}</dl>\n</details>\n`;
+            }
+        }
+    ]
+});
+
+// 没有结束标签的 HTML 元素
+const VOID_HTML_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+/**
+ * 计算 HTML 片段中尚未闭合的标签数量
+ * 
+ * @param {string} html - HTML 片段
+ * @returns {number} 开始标签数减去结束标签数
+ */
+function countOpenHtmlTags(html) {
+    let depth = 0;
+    const tagPattern = /<(\/?)([a-zA-Z][\w-]*)[^>]*?(\/?)>/g;
+    for (const [, closing, name, selfClosing] of html.replace(/<!--[\s\S]*?-->/g, '').matchAll(tagPattern)) {
+        if (selfClosing || VOID_HTML_TAGS.has(name.toLowerCase())) continue;
+        depth += closing ? -1 : 1;
+    }
+    return depth;
+}
+
+/**
+ * 把 Markdown 拆分为顶层块
+ * 
+ * 块之间的空行不单独成块。HTML 块中未闭合的标签（如 <details>）会与后续的块合并，
+ * 直到标签闭合，使其中的 Markdown 内容仍然嵌套在标签内渲染。
+ * 文档开头的 front matter 单独作为第一个块。
+ * 
+ * @param {string} markdown - Markdown 文本
+ * @returns {{blocks: Array<{raw: string, tokens: Array, start: number, end: number, line: number, lineEnd: number}>, links: Object, headings: Array<{level: number, text: string, start: number, line: number}>}}
+ *          start/end 为源码字符偏移，line/lineEnd 为从 0 开始的行号（lineEnd 不含）；
+ *          headings 为顶层的标题（不含引用和列表中的标题）
+ */
+function splitMarkdownBlocks(markdown) {
+    const source = markdown.replace(/\r\n?/g, '\n');
+    const frontMatter = extractFrontMatter(source);
+    const blocks = [];
+    let offset = 0;
+    let current = null;
+    let openTags = 0;
+    
+    if (frontMatter) {
+        offset = frontMatter.raw.length;
+        blocks.push({ tokens: [{ type: 'frontMatter', raw: frontMatter.raw, data: frontMatter.data }], start: 0, end: offset });
+    }
+    const tokens = marked.lexer(source.slice(offset));
+    const headings = [];
+    
+    tokens.forEach(token => {
+        const start = offset;
+        offset += token.raw.length;
+        if (token.type === 'space' && !current) return;
+        if (token.type === 'heading') {
+            headings.push({ level: token.depth, text: tokensToText(token.tokens).trim(), start });
+        }
+        
+        if (!current) {
+            current = { tokens: [], start };
+        }
+        current.tokens.push(token);
+        current.end = offset;
+        
+        if (token.type === 'html') {
+            openTags += countOpenHtmlTags(token.raw);
+        }
+        if (openTags <= 0) {
+            blocks.push(current);
+            current = null;
+            openTags = 0;
+        }
+    });
+    if (current) {
+        blocks.push(current);
+    }
+    
+    let line = 0;
+    let lineOffset = 0;
+    blocks.forEach(block => {
+        line += countLineBreaks(source, lineOffset, block.start);
+        lineOffset = block.start;
+        block.raw = source.slice(block.start, block.end);
+        block.line = line;
+        block.lineEnd = line + block.raw.replace(/\n+$/, '').split('\n').length;
+    });
+    
+    line = 0;
+    lineOffset = 0;
+    headings.forEach(heading => {
+        line += countLineBreaks(source, lineOffset, heading.start);
+        lineOffset = heading.start;
+        heading.line = line;
+    });
+    
+    return { blocks, links: tokens.links, headings };
+}
+
+/**
+ * 提取行内 token 的纯文本（用于标题文字）
+ * 
+ * @param {Array} tokens - 行内 token 列表
+ * @returns {string}
+ */
+function tokensToText(tokens) {
+    return (tokens || []).map(token => {
+        if (token.tokens) return tokensToText(token.tokens);
+        if (token.type === 'html' || token.type === 'footnoteReference') return '';
+        if (token.type === 'br') return ' ';
+        return token.text || '';
+    }).join('');
+}
+
+/**
+ * 统计文本指定区间内的换行符数量
+ * 
+ * @param {string} text - 文本
+ * @param {number} from - 起始偏移
+ * @param {number} to - 结束偏移（不含）
+ * @returns {number}
+ */
+function countLineBreaks(text, from, to) {
+    let count = 0;
+    for (let i = text.indexOf('\n', from); i !== -1 && i < to; i = text.indexOf('\n', i + 1)) {
+        count++;
+    }
+    return count;
+}
+
+/**
+ * 创建分块渲染器
+ * 
+ * 渲染器为每种块内容分配一个 ID 并记住它：同一段内容只要一直留在文档中，
+ * ID 就保持不变，HTML 只在该内容第一次出现时生成并返回一次，
+ * 调用方按 ID 缓存和复用已有的结果。链接定义、脚注编号和扩展语法开关会影响所有块的渲染，
+ * 变化时所有块都分配新的 ID。标题的锚点 ID 需要全文去重，目录取决于全文的标题，
+ * 因此它们也计入所在块的缓存键，标题变化时只有受影响的块和目录重新渲染。含有公式或图表的块另外在 embeds 中返回嵌入内容的 HTML，
+ * 按顺序对应块 HTML 中的占位元素。文档中有脚注时，末尾追加一个长度为 0 的脚注列表块。
+ * 
+ * @param {string} prefix - ID 前缀，区分不同的渲染器实例
+ * @returns {{render: function(string, Object=): {blocks: Array<{id: string, start: number, end: number, line: number, lineEnd: number}>, html: Object<string, string>, embeds: Object<string, string[]>, headings: Array}}}
+ *          render 的第二个参数为扩展语法开关（见 MARKDOWN_SYNTAX_DEFAULTS），headings 见 splitMarkdownBlocks
+ */
+function createBlockRenderer(prefix) {
+    let blockIds = new Map(); // 块源码 → ID
+    const incompleteBlocks = new Map(); // 块 ID → 渲染时尚未加载完成的高亮语言
+    let linksSignature = '';
+    let nextId = 1;
+    
+    return {
+        render(markdown, options) {
+            syntaxOptions = { ...MARKDOWN_SYNTAX_DEFAULTS, ...options };
+            const { blocks, links, headings } = splitMarkdownBlocks(markdown);
+            
+            // 脚注按定义出现的顺序编号，同一标签只取第一条定义
+            const footnotes = new Map();
+            blocks.forEach(block => block.tokens.forEach(token => {
+                if (token.type === 'footnoteDefinition' && !footnotes.has(token.label)) {
+                    footnotes.set(token.label, token);
+                }
+            }));
+            footnoteNumbers = new Map([...footnotes.keys()].map((label, index) => [label, index + 1]));
+            
+            const signature = JSON.stringify([links, [...footnotes.keys()], syntaxOptions]);
+            if (signature !== linksSignature) {
+                linksSignature = signature;
+                blockIds = new Map();
+                incompleteBlocks.clear();
+            }
+            
+            // 按出现顺序为所有标题分配锚点 ID，顶层标题同时作为目录条目
+            const usedSlugs = new Set();
+            const toc = [];
+            const blockKeys = blocks.map(block => {
+                const slugs = [];
+                let hasToc = false;
+                marked.walkTokens(block.tokens, token => {
+                    if (token.type === 'toc') hasToc = true;
+                    if (token.type !== 'heading') return;
+                    token.slug = uniqueSlug(slugifyHeading(tokensToText(token.tokens)), usedSlugs);
+                    slugs.push(token.slug);
+                    if (block.tokens.includes(token) && token.depth <= syntaxOptions.tocDepth) {
+                        toc.push({ level: token.depth, text: tokensToText(token.tokens).trim(), slug: token.slug });
+                    }
+                });
+                return { slugs, hasToc };
+            });
+            tableOfContents = toc;
+            const tocSignature = JSON.stringify(toc);
+            
+            const currentIds = new Map();
+            const html = {};
+            const embeds = {};
+            const renderBlock = (raw, render) => {
+                let id = currentIds.get(raw) || blockIds.get(raw);
+                const waiting = id && incompleteBlocks.get(id);
+                if (waiting && [...waiting].some(name => highlightLanguageStates.get(name) !== 'loading')) {
+                    // 等待的语言已加载，作为新块重新渲染
+                    incompleteBlocks.delete(id);
+                    id = null;
+                }
+                if (!id) {
+                    id = `${prefix}${nextId++}`;
+                    embedOutputs = [];
+                    pendingHighlightLanguages = new Set();
+                    try {
+                        html[id] = render();
+                        if (embedOutputs.length > 0) {
+                            embeds[id] = embedOutputs;
+                        }
+                        if (pendingHighlightLanguages.size > 0) {
+                            incompleteBlocks.set(id, pendingHighlightLanguages);
+                        }
+                    } finally {
+                        embedOutputs = null;
+                        pendingHighlightLanguages = null;
+                    }
+                }
+                currentIds.set(raw, id);
+                return id;
+            };
+            
+            const result = blocks.map((block, index) => ({
+                id: renderBlock(
+                    block.raw + blockKeys[index].slugs.map(slug => `\0${slug}`).join('') + (blockKeys[index].hasToc ? `\0${tocSignature}` : ''),
+                    () => marked.parser(block.tokens)
+                ),
+                start: block.start,
+                end: block.end,
+                line: block.line,
+                lineEnd: block.lineEnd
+            }));
+            
+            if (footnotes.size > 0) {
+                const definitions = [...footnotes.values()];
+                const last = blocks[blocks.length - 1];
+                result.push({
+                    id: renderBlock(`\0footnotes\n${definitions.map(token => token.raw).join('')}`, () => renderFootnotes(definitions)),
+                    start: last.end,
+                    end: last.end,
+                    line: last.lineEnd,
+                    lineEnd: last.lineEnd
+                });
+            }
+            blockIds = currentIds;
+            const currentIdSet = new Set(currentIds.values());
+            incompleteBlocks.forEach((languages, id) => {
+                if (!currentIdSet.has(id)) incompleteBlocks.delete(id);
+            });
+            
+            return { blocks: result, html, embeds, headings };
+        }
+    };
+}
@@ -0,0 +1,51 @@
+/**
+ * Markdown 办公编辑器 - 预览渲染 Worker
+ * ===================================
+ * 
+ * 在后台线程中解析 Markdown、高亮代码和渲染公式，主线程只负责过滤和插入结果 HTML，
+ * 大文档输入时界面不会卡顿。
+ * 
+ * 消息协议:
+ * - 收到 { type: 'render', id, markdown, options }：渲染文档，options 为扩展语法开关
+ * - 发送 { type: 'rendered', id, blocks, html, embeds, headings }：块列表、新出现块的 HTML、嵌入内容和标题（见 createBlockRenderer）
+ * - 发送 { type: 'error', id, message }：解析出错
+ * 
+ * 渲染期间到达的请求只保留最新的一个，被新请求取代的请求直接丢弃不再渲染；
+ * 主线程也会忽略 ID 不是最新的结果。
+ */
+
+importScripts(
+    'vendor/marked/marked.umd.js',
+    'vendor/highlight.js/highlight.min.js',
+    'vendor/katex/katex.min.js',
+    'markdown-pipeline.js'
+);
+
+const blockRenderer = createBlockRenderer('w');
+let pendingRequest = null;
+
+/**
+ * 处理等待中的最新请求
+ */
+function processPendingRequest() {
+    const request = pendingRequest;
+    if (!request) return;
+    pendingRequest = null;
+    
+    try {
+        const { blocks, html, embeds, headings } = blockRenderer.render(request.markdown, request.options);
+        self.postMessage({ type: 'rendered', id: request.id, blocks, html, embeds, headings });
+    } catch (error) {
+        self.postMessage({ type: 'error', id: request.id, message: error.message });
+    }
+}
+
+self.addEventListener('message', (event) => {
+    const message = event.data;
+    
+    if (message.type === 'render') {
+        // 先排队，等已到达的消息都处理完后只渲染最新的请求
+        pendingRequest = message;
+        setTimeout(processPendingRequest, 0);
+    }
+});
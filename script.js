@@ -15,9 +15,11 @@
  * 10. Toast 通知系统
  * 
  * 技术特性:
- * - 使用 localStorage 实现数据持久化
- * - 使用 marked.js 进行 Markdown 解析
- * - 使用 highlight.js 进行代码高亮
+ * - 使用 IndexedDB 实现数据持久化（不可用时回退到 localStorage）
+ * - 使用 marked.js 进行 Markdown 解析，highlight.js 进行代码高亮
+ *   (解析代码在 markdown-pipeline.js 中，由 render-worker.js 在后台线程执行)
+ * - 使用 KaTeX 渲染数学公式，mermaid 渲染图表（按需加载）
+ * - 使用 DOMPurify 过滤预览 HTML
  * - 事件委托优化性能
  * - 防抖处理减少不必要的操作
  * 
@@ -61,7 +63,8 @@ function debounce(func, wait) {
 /**
  * 节流函数 - 限制函数执行频率
  * 
- * 节流确保函数在指定时间间隔内最多执行一次，忽略中间的多次调用。
+ * 节流确保函数在指定时间间隔内最多执行一次。间隔内的调用不会立即执行，
+ * 但最后一次调用会在间隔结束后补执行，保证最终状态总能得到处理。
  * 常用于滚动事件、鼠标移动等高频事件，提高性能。
  * 
  * @param {Function} func - 要执行的函数
@@ -73,987 +76,6423 @@ function debounce(func, wait) {
  * window.addEventListener('scroll', throttledScroll);
  */
 function throttle(func, limit) {
-    let inThrottle;
-    return function(...args) {
-        if (!inThrottle) {
-            func.apply(this, args);
-            inThrottle = true;
-            setTimeout(() => inThrottle = false, limit);
+    let inThrottle = false;
+    let pendingCall = null;
+    return function throttled(...args) {
+        if (inThrottle) {
+            pendingCall = { context: this, args };
+            return;
         }
+        func.apply(this, args);
+        inThrottle = true;
+        setTimeout(() => {
+            inThrottle = false;
+            if (pendingCall) {
+                const { context, args: pendingArgs } = pendingCall;
+                pendingCall = null;
+                throttled.apply(context, pendingArgs);
+            }
+        }, limit);
     };
 }
 
-// 配置 marked 使用 highlight.js 进行代码高亮
-marked.setOptions({
-    highlight: function(code, lang) {
-        if (lang && hljs.getLanguage(lang)) {
-            try {
-                return hljs.highlight(code, { language: lang }).value;
-            } catch (err) {}
-        }
-        return hljs.highlightAuto(code).value;
-    },
-    langPrefix: 'hljs language-',
-    breaks: true,
-    gfm: true
-});
-
 // ========================================
-// 自动保存功能 (优化版)
+// HTML 净化 (防止 Markdown 中的脚本注入)
 // ========================================
-const autoSaveInterval = 3000; // 3秒自动保存
-const autoSaveStatus = document.getElementById('auto-save-status');
+// marked 会原样保留 Markdown 中的 HTML，直接写入 innerHTML 时 <img onerror> 等
+// 内联脚本会在本页面执行并能读取全部本地数据。预览、复制和导出前都先用
+// DOMPurify 按允许列表过滤；用户标记为"受信任"的文档不做过滤。
+const DEFAULT_SANITIZE_TAGS = [
+    'a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'code', 'col', 'colgroup',
+    'dd', 'del', 'details', 'div', 'dl', 'dt', 'em', 'figcaption', 'figure',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'input', 'ins', 'kbd',
+    'li', 'mark', 'ol', 'p', 'pre', 'q', 's', 'samp', 'small', 'span', 'strong',
+    'sub', 'summary', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr',
+    'u', 'ul', 'var'
+];
+const DEFAULT_SANITIZE_ATTRIBUTES = [
+    'href', 'src', 'alt', 'title', 'class', 'id', 'align', 'width', 'height',
+    'colspan', 'rowspan', 'start', 'reversed', 'value', 'type', 'checked',
+    'disabled', 'open', 'lang', 'dir', 'cite', 'datetime'
+];
+// 即使写入允许列表也不会放行的标签和属性，需要原始 HTML 时应使用受信任文档
+const SANITIZE_FORBIDDEN_TAGS = ['script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'base', 'link', 'meta', 'form'];
+const SANITIZE_FORBIDDEN_ATTRIBUTE_PATTERN = /^(on|srcdoc$|formaction$)/;
+// 复制和导出时公式以 KaTeX 输出的 MathML 表示，这些标签和属性总是允许
+const SANITIZE_MATHML_TAGS = [
+    'math', 'semantics', 'annotation', 'mrow', 'mi', 'mn', 'mo', 'ms', 'mtext', 'mspace',
+    'msup', 'msub', 'msubsup', 'mfrac', 'msqrt', 'mroot', 'mover', 'munder', 'munderover',
+    'mtable', 'mtr', 'mtd', 'mlabeledtr', 'mstyle', 'mpadded', 'mphantom', 'menclose', 'merror'
+];
+const SANITIZE_MATHML_ATTRIBUTES = [
+    'xmlns', 'display', 'displaystyle', 'scriptlevel', 'mathvariant', 'mathcolor', 'mathbackground',
+    'encoding', 'stretchy', 'fence', 'separator', 'symmetric', 'largeop', 'movablelimits',
+    'lspace', 'rspace', 'minsize', 'maxsize', 'accent', 'accentunder', 'linethickness', 'notation',
+    'columnalign', 'rowalign', 'columnspacing', 'rowspacing', 'columnlines', 'rowlines', 'frame',
+    'width', 'height', 'depth', 'voffset'
+];
+// 允许的链接协议：在 DOMPurify 默认规则基础上加入本地图片使用的 asset:
+const SANITIZE_URI_PATTERN = /^(?:(?:https?|mailto|tel|asset):|[^a-z]|[a-z+.\-]+(?:[^a-z+.\-:]|$))/i;
 
-// 批量存储缓冲区，减少 localStorage I/O 次数
-let pendingSaveData = {};
-let saveTimeout = null;
+let sanitizeSettings = loadSanitizeSettings();
+let sanitizeRemovedCount = 0; // 最近一次预览渲染中被过滤掉的元素和属性数量
 
 /**
- * 批量保存数据到 localStorage
+ * 读取用户保存的允许列表，缺失或无效时使用默认值
  * 
- * 将所有待保存的数据一次性写入 localStorage，减少 I/O 操作次数。
+ * @returns {{tags: string[], attributes: string[]}}
  */
-function flushSaveData() {
-    if (Object.keys(pendingSaveData).length === 0) return;
-    
+function loadSanitizeSettings() {
     try {
-        // 使用批量写入减少 I/O
-        Object.entries(pendingSaveData).forEach(([key, value]) => {
-            localStorage.setItem(key, value);
-        });
-        pendingSaveData = {};
-        showAutoSaveStatus('saved');
-    } catch (e) {
-        console.error('保存失败:', e);
+        const saved = JSON.parse(localStorage.getItem('sanitizeSettings'));
+        if (saved && Array.isArray(saved.tags) && Array.isArray(saved.attributes)) {
+            return {
+                tags: saved.tags.filter(tag => !SANITIZE_FORBIDDEN_TAGS.includes(tag)),
+                attributes: saved.attributes.filter(attr => !SANITIZE_FORBIDDEN_ATTRIBUTE_PATTERN.test(attr))
+            };
+        }
+    } catch (error) {
+        console.error('读取 HTML 过滤设置失败:', error);
     }
+    return { tags: [...DEFAULT_SANITIZE_TAGS], attributes: [...DEFAULT_SANITIZE_ATTRIBUTES] };
 }
 
 /**
- * 添加待保存数据到缓冲区
+ * 过滤 HTML，只保留允许列表中的标签和属性
  * 
- * @param {string} key - 存储键
- * @param {string} value - 存储值
+ * DOMPurify 未加载时把整段内容转义为纯文本，宁可显示源码也不执行未过滤的 HTML。
+ * 
+ * @param {string} html - 待过滤的 HTML
+ * @param {Object} [extraConfig] - 附加的 DOMPurify 配置（如 ADD_TAGS、ADD_ATTR）
+ * @returns {string} 安全的 HTML
  */
-function queueSaveData(key, value) {
-    pendingSaveData[key] = value;
+function sanitizeHtml(html, extraConfig = {}) {
+    if (typeof DOMPurify === 'undefined') return escapeHtml(html);
+    return DOMPurify.sanitize(html, {
+        // 嵌入内容的占位元素由渲染管线生成，过滤后再替换为公式和图表（见 markdown-pipeline.js）
+        ALLOWED_TAGS: [...sanitizeSettings.tags, EMBED_PLACEHOLDER_TAG],
+        ALLOWED_ATTR: sanitizeSettings.attributes,
+        ALLOWED_URI_REGEXP: SANITIZE_URI_PATTERN,
+        ...extraConfig
+    });
+}
+
+/**
+ * 过滤用于复制和导出的 HTML
+ * 
+ * 预览区的内容在渲染时已经过滤，但公式、图表等是过滤之后才插入的，这里对整体再过滤一次，
+ * 防止渲染后插入的内容混入导出文件。SVG 按 DOMPurify 的 SVG 规则单独过滤，保留图表自带的
+ * <style> 和样式属性；其余内容按允许列表过滤，并总是允许公式的 MathML。受信任的文档原样返回。
+ * 
+ * @param {HTMLElement} container - 内容容器，过滤时会被修改
+ * @returns {string} 过滤后的 HTML
+ */
+function sanitizeExportHtml(container) {
+    if (isActiveDocumentTrusted()) return container.innerHTML;
+    if (typeof DOMPurify === 'undefined') return sanitizeHtml(container.innerHTML);
     
-    // 重置定时器
-    if (saveTimeout) {
-        clearTimeout(saveTimeout);
-    }
+    // SVG 先换成占位元素，避免 <style> 和 style 属性按 HTML 的规则放行
+    const svgs = [];
+    container.querySelectorAll('svg').forEach(svg => {
+        if (svg.parentElement.closest('svg')) return;
+        const placeholder = document.createElement(EMBED_PLACEHOLDER_TAG);
+        placeholder.dataset.embedId = svgs.length;
+        svgs.push(DOMPurify.sanitize(svg.outerHTML, { USE_PROFILES: { svg: true, svgFilters: true } }));
+        svg.replaceWith(placeholder);
+    });
     
-    saveTimeout = setTimeout(flushSaveData, autoSaveInterval);
+    container.innerHTML = sanitizeHtml(container.innerHTML, {
+        ADD_TAGS: SANITIZE_MATHML_TAGS,
+        // 导出页面的样式依赖 class（如代码高亮），即使用户从允许列表中去掉也保留
+        ADD_ATTR: [...SANITIZE_MATHML_ATTRIBUTES, 'class']
+    });
+    container.querySelectorAll(EMBED_PLACEHOLDER_TAG).forEach(placeholder => {
+        const template = document.createElement('template');
+        template.innerHTML = svgs[placeholder.dataset.embedId] || '';
+        placeholder.replaceWith(template.content);
+    });
+    return container.innerHTML;
+}
+
+if (typeof DOMPurify !== 'undefined') {
+    // 新窗口打开的链接不能通过 window.opener 操作本页面
+    DOMPurify.addHook('afterSanitizeAttributes', node => {
+        if (node.tagName === 'A' && node.getAttribute('target') === '_blank') {
+            node.setAttribute('rel', 'noopener noreferrer');
+        }
+    });
 }
 
 /**
- * 保存编辑器内容到 localStorage
+ * 判断当前文档是否被标记为受信任（不过滤 HTML）
  * 
- * 将当前编辑器的内容和保存时间戳保存到浏览器的 localStorage 中，
- * 实现数据的持久化存储，防止意外刷新丢失内容。
+ * @returns {boolean}
  */
-function saveToLocalStorage() {
-    queueSaveData('editorContent', editor.value);
-    queueSaveData('editorLastSave', String(Date.now()));
+function isActiveDocumentTrusted() {
+    const doc = getActiveDocument();
+    return !!(doc && doc.trusted);
 }
 
 /**
- * 显示自动保存状态提示
+ * 过滤渲染得到的预览 HTML，受信任的文档原样返回
  * 
- * 在编辑器状态栏显示保存状态（正在保存/已保存），
- * 并在2秒后自动隐藏提示。
- * 
- * @param {string} status - 保存状态，可选值为 'saving' 或 'saved'
+ * @param {string} html - marked 输出的 HTML
+ * @returns {{html: string, removed: number}} 过滤后的 HTML 和被移除的元素、属性数量
  */
-function showAutoSaveStatus(status) {
-    autoSaveStatus.classList.remove('saving', 'saved');
-    if (status === 'saving') {
-        autoSaveStatus.classList.add('saving');
-        autoSaveStatus.textContent = '正在保存...';
-    } else if (status === 'saved') {
-        autoSaveStatus.classList.add('saved');
-        autoSaveStatus.textContent = '已自动保存';
+function sanitizePreviewHtml(html) {
+    if (isActiveDocumentTrusted()) {
+        return { html, removed: 0 };
     }
+    const clean = sanitizeHtml(html);
+    return { html: clean, removed: typeof DOMPurify === 'undefined' ? 0 : DOMPurify.removed.length };
+}
+
+/**
+ * 获取用于复制和导出的预览 HTML
+ * 
+ * 去掉预览分块的包装元素。公式改用 KaTeX 同时输出的 MathML，浏览器和 Office 等应用
+ * 可以直接显示，不依赖 KaTeX 的样式和字体；图表以内联 SVG 导出。结果再经过一次过滤
+ * （见 sanitizeExportHtml）。
+ * 
+ * @returns {string}
+ */
+function getExportPreviewHtml() {
+    const container = document.createElement('div');
+    container.innerHTML = previewBlocks.map(block => block.element.innerHTML).join('\n');
     
-    autoSaveStatus.classList.add('show');
+    container.querySelectorAll('.katex').forEach(formula => {
+        const mathml = formula.querySelector('.katex-mathml math');
+        if (mathml) {
+            formula.replaceWith(mathml);
+        }
+    });
+    container.querySelectorAll('.katex-display').forEach(wrapper => wrapper.replaceWith(...wrapper.childNodes));
+    // 已渲染的图表只保留 SVG
+    container.querySelectorAll('.diagram-rendered > .diagram-source').forEach(source => source.remove());
+    // front matter 的信息卡片只在预览中显示，导出时字段写入 <head>（见 buildExportHeadTags）
+    container.querySelectorAll('.front-matter').forEach(card => card.remove());
+    // 任务复选框只在预览中可以点击
+    container.querySelectorAll('input.task-list-checkbox').forEach(box => box.disabled = true);
+    // 复制按钮由导出页面自己的脚本添加（见 EXPORT_CODE_COPY_SCRIPT），复制到剪贴板时不需要
+    container.querySelectorAll('.code-copy-btn').forEach(button => button.remove());
+    // 手写的 [文字](#标题) 链接改为指向带前缀的标题锚点，导出页面中也能跳转
+    container.querySelectorAll('a[href^="#"]').forEach(link => {
+        const id = getLinkAnchorId(link);
+        const target = id && findPreviewAnchor(id, container);
+        if (target && target.id !== id) {
+            link.setAttribute('href', `#${target.id}`);
+        }
+    });
     
-    setTimeout(() => {
-        autoSaveStatus.classList.remove('show');
-    }, 2000);
+    return sanitizeExportHtml(container);
 }
 
-// 使用防抖优化自动保存，减少不必要的localStorage写入
-const debouncedSave = debounce(() => {
-    saveToLocalStorage();
-}, autoSaveInterval);
-
-editor.addEventListener('input', debouncedSave);
-
-// 页面卸载前确保所有数据已保存
-window.addEventListener('beforeunload', () => {
-    flushSaveData();
-});
+const trustedDocBtn = document.getElementById('trusted-doc-btn');
 
-// 从localStorage加载保存的内容
 /**
- * 从 localStorage 加载保存的内容
- * 
- * 尝试从 localStorage 恢复编辑器内容：
- * - 如果有保存的内容，直接加载并渲染预览
- * - 如果是第一次访问（hasVisited 不存在），显示欢迎介绍文本
- * - 如果已访问过但没有保存内容，显示空白编辑器
+ * 更新预览区标题栏中的安全模式/受信任按钮
  */
-function loadFromLocalStorage() {
-    const savedContent = localStorage.getItem('editorContent');
-    const hasVisited = localStorage.getItem('hasVisited');
+function updateTrustedDocumentButton() {
+    if (!trustedDocBtn) return;
+    const trusted = isActiveDocumentTrusted();
     
-    if (savedContent && savedContent.trim() !== '') {
-        // 有保存的内容，直接加载
-        editor.value = savedContent;
-        preview.innerHTML = marked.parse(savedContent);
-        showAutoSaveStatus('saved');
-    } else if (!hasVisited) {
-        // 第一次访问，显示介绍文本
-        editor.value = editor.placeholder;
-        preview.innerHTML = marked.parse(editor.placeholder);
-        localStorage.setItem('hasVisited', 'true');
+    trustedDocBtn.classList.toggle('trusted', trusted);
+    trustedDocBtn.classList.toggle('filtered', !trusted && sanitizeRemovedCount > 0);
+    trustedDocBtn.setAttribute('aria-pressed', String(trusted));
+    
+    if (trusted) {
+        trustedDocBtn.textContent = '受信任';
+        trustedDocBtn.dataset.tooltip = '当前文档的 HTML 不经过滤直接渲染，点击恢复安全模式';
+    } else if (sanitizeRemovedCount > 0) {
+        trustedDocBtn.textContent = `安全模式 · 已过滤 ${sanitizeRemovedCount}`;
+        trustedDocBtn.dataset.tooltip = '已移除脚本、事件属性或不在允许列表中的 HTML，点击将文档标记为受信任';
     } else {
-        // 已访问过但没有保存内容，显示空白
-        editor.value = '';
-        preview.innerHTML = '';
+        trustedDocBtn.textContent = '安全模式';
+        trustedDocBtn.dataset.tooltip = '文档中的 HTML 按允许列表过滤，点击将文档标记为受信任';
     }
 }
 
+trustedDocBtn.addEventListener('click', function() {
+    const doc = getActiveDocument();
+    if (!doc) return;
+    
+    if (!doc.trusted && !confirm(`将"${doc.title}"标记为受信任文档？\n\n受信任文档中的 HTML 不再过滤，其中的脚本和事件属性可以读取本编辑器保存的所有数据。只对自己编写或来源可靠的文档开启。`)) {
+        return;
+    }
+    
+    doc.trusted = !doc.trusted;
+    persistDocuments();
+    renderPreview(editor.value);
+    showToast(doc.trusted ? '已标记为受信任文档' : '已恢复安全模式');
+});
+
 // ========================================
-// 搜索功能
+// 预览区分块渲染
 // ========================================
-const searchBtn = document.getElementById('search-btn');
-const searchBar = document.getElementById('search-bar');
-const searchInput = document.getElementById('search-input');
-const searchPrev = document.getElementById('search-prev');
-const searchNext = document.getElementById('search-next');
-const searchClose = document.getElementById('search-close');
-const searchCount = document.getElementById('search-count');
-
-let searchMatches = [];
-let currentMatchIndex = -1;
+// 预览按顶层 Markdown 块拆分，每块包在记录源码位置的 .preview-block 中。
+// 输入时只重新渲染内容有变化的块，其余块连同已加载的图片和高亮结果原样保留，
+// 预览区的滚动位置也不会因整体替换而跳动。
+// 解析和代码高亮在 render-worker.js 中进行，主线程只过滤并插入结果；
+// 不支持 Worker 或 Worker 加载失败时（如通过 file:// 打开）改为在主线程同步渲染。
+let previewBlocks = []; // [{key, element, removed}]，与预览区的子元素一一对应
+let previewRenderContext = ''; // 影响所有块过滤结果的上下文，变化时全部重新插入
+let lastMarkdownContent = '';
+let renderRequestId = 0;
+const renderedBlockHtml = new Map(); // 块 ID → 未过滤的 HTML
+const renderedBlockEmbeds = new Map(); // 块 ID → 嵌入内容（公式、图表）HTML 列表
+const fallbackBlockRenderer = createBlockRenderer('m');
+let renderWorker = createRenderWorker();
+let markdownSyntaxOptions = loadMarkdownSyntaxOptions();
 
 /**
- * 切换搜索栏的显示/隐藏状态
+ * 读取扩展语法开关，未保存的项使用默认值
  * 
- * 如果搜索栏当前隐藏，则显示并聚焦到搜索输入框；
- * 如果搜索栏当前显示，则隐藏它。
+ * @returns {Object<string, boolean>} 见 MARKDOWN_SYNTAX_DEFAULTS
  */
-function toggleSearchBar() {
-    const isVisible = searchBar.style.display !== 'none';
-    searchBar.style.display = isVisible ? 'none' : 'flex';
-    if (!isVisible) {
-        searchInput.focus();
+function loadMarkdownSyntaxOptions() {
+    const options = { ...MARKDOWN_SYNTAX_DEFAULTS };
+    try {
+        const saved = JSON.parse(localStorage.getItem('markdownSyntax'));
+        if (saved && typeof saved === 'object') {
+            Object.keys(options).forEach(key => {
+                if (typeof saved[key] === typeof options[key]) {
+                    options[key] = saved[key];
+                }
+            });
+        }
+    } catch (error) {
+        console.error('读取扩展语法设置失败:', error);
     }
+    return options;
 }
 
 /**
- * 在编辑器中执行搜索
+ * 启动预览渲染 Worker
  * 
- * 搜索编辑器中所有匹配的文本，记录所有匹配项的位置和内容，
- * 并高亮显示第一个匹配项。搜索是全局且不区分大小写的。
- * 
- * 搜索结果会更新 searchMatches 数组和 searchCount 显示。
+ * @returns {Worker|null} 不支持时返回 null
  */
-function performSearch() {
-    const searchText = searchInput.value.trim();
-    if (!searchText) {
-        searchCount.textContent = '0/0';
-        clearSearchHighlights();
-        return;
-    }
-    
-    searchMatches = [];
-    currentMatchIndex = -1;
-    
-    const content = editor.value;
-    let match;
-    // 转义正则表达式特殊字符，进行全局不区分大小写搜索
-    const regex = new RegExp(searchText.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+function createRenderWorker() {
+    if (typeof Worker === 'undefined') return null;
     
-    // 查找所有匹配项
-    while ((match = regex.exec(content)) !== null) {
-        searchMatches.push({
-            index: match.index,
-            text: match[0],
-            end: match.index + match[0].length
+    try {
+        const worker = new Worker('render-worker.js');
+        worker.addEventListener('message', (e) => {
+            if (e.data.type === 'rendered') {
+                applyRenderResult(e.data);
+            } else if (e.data.type === 'error') {
+                console.error('Markdown解析错误:', e.data.message);
+            }
+        });
+        worker.addEventListener('error', (e) => {
+            e.preventDefault();
+            console.error('预览渲染 Worker 出错，改为在主线程渲染:', e.message);
+            disableRenderWorker();
         });
+        return worker;
+    } catch (error) {
+        console.error('无法启动预览渲染 Worker:', error);
+        return null;
     }
+}
+
+/**
+ * 停用 Worker 并在主线程重新渲染当前内容
+ */
+function disableRenderWorker() {
+    if (!renderWorker) return;
+    renderWorker.terminate();
+    renderWorker = null;
+    renderPreview(lastMarkdownContent);
+}
+
+// 主线程渲染时高亮语言是异步加载的，加载完成后重新渲染，等待该语言的代码块会重新高亮
+addEventListener(HIGHLIGHT_LANGUAGE_EVENT, () => renderPreview(lastMarkdownContent));
+
+/**
+ * 渲染 Markdown 到预览区
+ * 
+ * 有 Worker 时异步渲染，结果到达时若已有更新的请求则直接丢弃。
+ * 
+ * @param {string} markdown - 要渲染的 Markdown 文本
+ */
+function renderPreview(markdown) {
+    lastMarkdownContent = markdown;
+    const id = ++renderRequestId;
     
-    if (searchMatches.length > 0) {
-        currentMatchIndex = 0;
-        highlightCurrentMatch();
+    if (renderWorker) {
+        renderWorker.postMessage({ type: 'render', id, markdown, options: markdownSyntaxOptions });
+        return;
     }
     
-    searchCount.textContent = `${currentMatchIndex + 1}/${searchMatches.length}`;
+    try {
+        applyRenderResult({ id, ...fallbackBlockRenderer.render(markdown, markdownSyntaxOptions) });
+    } catch (e) {
+        console.error('Markdown解析错误:', e);
+    }
 }
 
 /**
- * 高亮显示当前搜索匹配项
+ * 创建块的包装元素并插入过滤后的 HTML
  * 
- * 将光标定位到当前匹配项的位置，并自动滚动编辑器使匹配项可见。
+ * @param {string} id - 块 ID
+ * @returns {{key: string, element: HTMLElement, removed: number}}
  */
-function highlightCurrentMatch() {
-    if (searchMatches.length === 0 || currentMatchIndex < 0) return;
+function createPreviewBlock(id) {
+    const element = document.createElement('div');
+    element.className = 'preview-block';
+    const { html, removed } = sanitizePreviewHtml(renderedBlockHtml.get(id) || '');
+    element.innerHTML = html;
     
-    const match = searchMatches[currentMatchIndex];
-    editor.focus();
-    editor.setSelectionRange(match.index, match.end);
-    // 滚动到匹配项位置，使其显示在编辑器中间
-    editor.scrollTop = editor.value.substring(0, match.index).split('\n').length * 20 - editor.clientHeight / 2;
+    const embeds = renderedBlockEmbeds.get(id) || [];
+    element.querySelectorAll(EMBED_PLACEHOLDER_TAG).forEach(placeholder => {
+        const template = document.createElement('template');
+        template.innerHTML = embeds[placeholder.dataset.embedId] || '';
+        placeholder.replaceWith(template.content);
+    });
+    resolveAssetImages(element);
+    renderDiagrams(element);
+    enableTaskCheckboxes(element);
+    addCodeCopyButtons(element);
+    return { key: id, element, removed };
 }
 
 /**
- * 导航到上一个或下一个搜索匹配项
+ * 在块的包装元素上记录源码位置
  * 
- * @param {number} direction - 导航方向，-1 表示上一个，1 表示下一个
+ * @param {HTMLElement} element - 包装元素
+ * @param {Object} block - 对应的块，start/end 为字符偏移，line/lineEnd 为从 0 开始的行号（lineEnd 不含）
+ */
+function setPreviewBlockSource(element, block) {
+    if (element.dataset.sourceStart !== String(block.start)) {
+        element.dataset.sourceStart = block.start;
+        element.dataset.sourceEnd = block.end;
+        element.dataset.line = block.line;
+        element.dataset.lineEnd = block.lineEnd;
+    }
+}
+
+/**
+ * 把渲染结果应用到预览区
  * 
- * 支持循环导航：从第一个匹配项导航到上一个会跳到最后一个，
- * 从最后一个匹配项导航到下一个会跳到第一个。
+ * 与上一次渲染的块按 ID 比较：首尾相同的块直接保留，中间部分优先复用
+ * ID 相同（被移动）的旧块，其余块创建后一次性插入。
+ * 受信任状态或过滤设置变化时会影响所有块，此时全部重新插入。
+ * 
+ * @param {{id: number, blocks: Array, html: Object<string, string>, embeds: Object<string, string[]>, headings: Array}} result - 块渲染器的输出
  */
-function navigateSearch(direction) {
-    if (searchMatches.length === 0) return;
+function applyRenderResult(result) {
+    // 过期结果中新块的 HTML 仍需保存，后续结果只会按 ID 引用它们
+    Object.entries(result.html).forEach(([id, html]) => renderedBlockHtml.set(id, html));
+    Object.entries(result.embeds).forEach(([id, embeds]) => renderedBlockEmbeds.set(id, embeds));
+    if (result.id !== renderRequestId) return;
     
-    currentMatchIndex += direction;
+    const { blocks } = result;
+    const context = JSON.stringify([isActiveDocumentTrusted(), sanitizeSettings]);
+    if (context !== previewRenderContext) {
+        previewRenderContext = context;
+        previewBlocks = [];
+        preview.innerHTML = '';
+    }
     
-    // 循环导航
-    if (currentMatchIndex < 0) {
-        currentMatchIndex = searchMatches.length - 1;
-    } else if (currentMatchIndex >= searchMatches.length) {
-        currentMatchIndex = 0;
+    const oldBlocks = previewBlocks;
+    let head = 0;
+    while (head < blocks.length && head < oldBlocks.length && blocks[head].id === oldBlocks[head].key) {
+        head++;
+    }
+    let tail = 0;
+    while (tail < blocks.length - head && tail < oldBlocks.length - head &&
+           blocks[blocks.length - 1 - tail].id === oldBlocks[oldBlocks.length - 1 - tail].key) {
+        tail++;
     }
     
-    highlightCurrentMatch();
-    searchCount.textContent = `${currentMatchIndex + 1}/${searchMatches.length}`;
+    // 中间部分：ID 相同的旧块可以复用（例如整段移动），其余新建
+    const reusable = new Map();
+    oldBlocks.slice(head, oldBlocks.length - tail).forEach(block => {
+        if (!reusable.has(block.key)) reusable.set(block.key, []);
+        reusable.get(block.key).push(block);
+    });
+    const middle = blocks.slice(head, blocks.length - tail).map(block => {
+        const candidates = reusable.get(block.id);
+        return candidates && candidates.length > 0 ? candidates.shift() : createPreviewBlock(block.id);
+    });
+    reusable.forEach(list => list.forEach(block => block.element.remove()));
+    
+    // 使用 DocumentFragment 一次性插入，减少重排
+    const fragment = document.createDocumentFragment();
+    middle.forEach(block => fragment.appendChild(block.element));
+    preview.insertBefore(fragment, tail > 0 ? oldBlocks[oldBlocks.length - tail].element : null);
+    
+    previewBlocks = [...oldBlocks.slice(0, head), ...middle, ...oldBlocks.slice(oldBlocks.length - tail)];
+    previewBlocks.forEach((block, index) => setPreviewBlockSource(block.element, blocks[index]));
+    
+    // 只保留当前文档用到的块 HTML
+    const currentIds = new Set(blocks.map(block => block.id));
+    renderedBlockHtml.forEach((html, id) => {
+        if (!currentIds.has(id)) renderedBlockHtml.delete(id);
+    });
+    renderedBlockEmbeds.forEach((embeds, id) => {
+        if (!currentIds.has(id)) renderedBlockEmbeds.delete(id);
+    });
+    
+    sanitizeRemovedCount = previewBlocks.reduce((sum, block) => sum + block.removed, 0);
+    updateTrustedDocumentButton();
+    updateOutline(result.headings || []);
 }
 
 /**
- * 清除搜索结果和高亮
+ * 查找指定 id 的元素（标题锚点、脚注）
  * 
- * 清空搜索匹配项数组、重置当前匹配索引、更新搜索计数显示。
+ * 手写的 [文字](#标题) 链接不带标题锚点的前缀，找不到时再加上前缀、按小写查找。
+ * 
+ * @param {string} id - 锚点 id
+ * @param {HTMLElement} [root=preview] - 查找范围
+ * @returns {HTMLElement|null}
  */
-function clearSearchHighlights() {
-    searchMatches = [];
-    currentMatchIndex = -1;
-    searchCount.textContent = '0/0';
+function findPreviewAnchor(id, root = preview) {
+    const elements = [...root.querySelectorAll('[id]')];
+    const candidates = [id, HEADING_ID_PREFIX + id, id.toLowerCase(), HEADING_ID_PREFIX + id.toLowerCase()];
+    for (const candidate of candidates) {
+        const element = elements.find(element => element.id === candidate);
+        if (element) return element;
+    }
+    return null;
 }
 
-// 搜索按钮事件
-searchBtn.addEventListener('click', toggleSearchBar);
-
-// 优化：使用防抖处理搜索输入，减少频繁搜索
-const debouncedPerformSearch = debounce(performSearch, 300);
+/**
+ * 获取页内链接指向的 id（已解码）
+ * 
+ * @param {HTMLAnchorElement} link - href 以 # 开头的链接
+ * @returns {string}
+ */
+function getLinkAnchorId(link) {
+    const id = link.getAttribute('href').slice(1);
+    try {
+        return decodeURIComponent(id);
+    } catch (error) {
+        return id;
+    }
+}
 
-// 搜索输入事件
-searchInput.addEventListener('input', debouncedPerformSearch);
-searchInput.addEventListener('keydown', function(e) {
-    if (e.key === 'Enter') {
-        e.preventDefault();
-        // 按Enter时立即执行搜索，不使用防抖
-        performSearch();
-        navigateSearch(1);
-    } else if (e.key === 'Escape') {
-        toggleSearchBar();
+// 预览中的页内链接（目录、脚注、[文字](#标题)）只滚动预览区，不改变页面地址
+preview.addEventListener('click', (e) => {
+    const link = e.target.closest('a[href^="#"]');
+    if (!link || e.ctrlKey || e.metaKey) return;
+    e.preventDefault();
+    
+    const id = getLinkAnchorId(link);
+    const target = id && findPreviewAnchor(id);
+    if (target) {
+        preview.scrollTop += target.getBoundingClientRect().top - preview.getBoundingClientRect().top;
     }
 });
 
-// 搜索导航按钮
-searchPrev.addEventListener('click', () => navigateSearch(-1));
-searchNext.addEventListener('click', () => navigateSearch(1));
-searchClose.addEventListener('click', toggleSearchBar);
+// ========================================
+// 代码块复制按钮
+// ========================================
+// 代码块的标题、行号和行高亮由渲染管线输出（见 markdown-pipeline.js 的 parseCodeInfo），
+// 复制按钮需要脚本，只在预览中添加；导出的 HTML 中由 EXPORT_CODE_COPY_SCRIPT 添加。
+const CODE_COPY_FEEDBACK_DURATION = 1500;
 
-// 替换功能
-const replaceBtn = document.getElementById('replace-btn');
-const replaceAllBtn = document.getElementById('replace-all-btn');
-const replaceInput = document.getElementById('replace-input');
+/**
+ * 为块中的代码块添加复制按钮
+ * 
+ * @param {HTMLElement} element - 块的包装元素
+ */
+function addCodeCopyButtons(element) {
+    element.querySelectorAll('.code-block').forEach(block => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'code-copy-btn';
+        button.textContent = '复制';
+        button.setAttribute('aria-label', '复制代码');
+        block.appendChild(button);
+    });
+}
 
-if (replaceBtn) {
-    replaceBtn.addEventListener('click', function() {
-        const searchText = searchInput.value.trim();
-        const replaceText = replaceInput.value;
-        
-        if (!searchText || searchMatches.length === 0) {
-            showToast('请先搜索内容');
-            return;
-        }
-        
-        if (currentMatchIndex >= 0 && currentMatchIndex < searchMatches.length) {
-            const match = searchMatches[currentMatchIndex];
-            const before = editor.value.substring(0, match.index);
-            const after = editor.value.substring(match.end);
-            
-            editor.value = before + replaceText + after;
-            editor.dispatchEvent(new Event('input'));
-            
-            showToast('已替换');
-            
-            // 重新搜索
-            performSearch();
-        }
-    });
-}
-
-if (replaceAllBtn) {
-    replaceAllBtn.addEventListener('click', function() {
-        const searchText = searchInput.value.trim();
-        const replaceText = replaceInput.value;
-        
-        if (!searchText) {
-            showToast('请输入要搜索的内容');
-            return;
-        }
-        
-        const regex = new RegExp(searchText.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
-        const matchCount = (editor.value.match(regex) || []).length;
-        
-        if (matchCount === 0) {
-            showToast('未找到匹配内容');
-            return;
-        }
-        
-        if (confirm(`确定要替换全部 ${matchCount} 处内容吗？`)) {
-            editor.value = editor.value.replace(regex, replaceText);
-            editor.dispatchEvent(new Event('input'));
-            showToast(`已替换 ${matchCount} 处`);
-            performSearch();
-        }
+preview.addEventListener('click', (e) => {
+    const button = e.target.closest('.code-copy-btn');
+    if (!button) return;
+    
+    // textContent 不含 CSS 生成的行号，与源码中的代码一致
+    const code = button.closest('.code-block').querySelector('code').textContent;
+    navigator.clipboard.writeText(code).then(() => {
+        button.textContent = '已复制';
+        setTimeout(() => button.textContent = '复制', CODE_COPY_FEEDBACK_DURATION);
+        showToast('代码已复制');
+    }).catch(() => {
+        showToast('复制失败，请手动选择代码复制');
     });
-}
-
-// 快捷键 - 搜索
-// 已合并到统一的键盘事件处理器中（见代码末尾）
+});
 
-// 清空编辑器功能
-const clearBtn = document.getElementById('clear-btn');
+// ========================================
+// 图表 (mermaid)
+// ========================================
+// ```mermaid 代码块由渲染管线输出为包含源码的 .diagram 容器，这里在主线程中
+// 渲染为内联 SVG。mermaid 体积较大，第一次遇到图表时才加载。
+// 渲染结果按主题和源码缓存，源码不变的图表不会重新渲染。
+const MERMAID_SCRIPT_URL = 'vendor/mermaid/mermaid.min.js';
+const DIAGRAM_CACHE_MAX = 100;
+const diagramCache = new Map(); // `${主题}\n${源码}` → {svg} 或 {error}
+let mermaidLoading = null;
+let diagramRenderQueue = Promise.resolve();
+let diagramCounter = 0;
 
-clearBtn.addEventListener('click', function() {
-    if (confirm('确定要清空编辑器内容吗？此操作不可撤销。')) {
-        editor.value = '';
-        preview.innerHTML = '';
-        saveToLocalStorage();
-        showToast('编辑器已清空');
+/**
+ * 按需加载 mermaid
+ * 
+ * @returns {Promise<Object>} mermaid 对象
+ */
+function loadMermaid() {
+    if (!mermaidLoading) {
+        mermaidLoading = new Promise((resolve, reject) => {
+            // 不能只判断全局变量是否存在：id 为 mermaid 的标题也会出现在 window 上
+            if (window.mermaid && typeof window.mermaid.render === 'function') {
+                resolve(window.mermaid);
+                return;
+            }
+            const script = document.createElement('script');
+            script.src = MERMAID_SCRIPT_URL;
+            script.onload = () => resolve(window.mermaid);
+            script.onerror = () => {
+                mermaidLoading = null;
+                reject(new Error('图表库加载失败'));
+            };
+            document.head.appendChild(script);
+        });
     }
-});
+    return mermaidLoading;
+}
 
-// 重置内容功能 - 恢复到初始欢迎内容
-const resetBtn = document.getElementById('reset-btn');
+/**
+ * 当前界面对应的图表主题
+ * 
+ * @returns {string}
+ */
+function getDiagramTheme() {
+    return document.body.classList.contains('dark-mode') ? 'dark' : 'default';
+}
 
-resetBtn.addEventListener('click', function() {
-    if (confirm('确定要重置编辑器内容吗？此操作将恢复到初始欢迎内容。')) {
-        editor.value = editor.placeholder;
-        preview.innerHTML = marked.parse(editor.placeholder);
-        saveToLocalStorage();
-        showToast('编辑器已重置');
+/**
+ * 渲染图表源码，结果写入缓存
+ * 
+ * mermaid 渲染时会临时向页面插入元素，不能并发调用，由 diagramRenderQueue 保证依次执行。
+ * 
+ * @param {string} source - 图表源码
+ * @param {string} theme - mermaid 主题
+ * @returns {Promise<{svg?: string, error?: string}>}
+ */
+async function renderDiagramSource(source, theme) {
+    const key = `${theme}\n${source}`;
+    if (diagramCache.has(key)) {
+        return diagramCache.get(key);
     }
-});
+    
+    let result;
+    const renderId = `diagram-${++diagramCounter}`;
+    try {
+        const lib = await loadMermaid();
+        // 不使用 HTML 标签（foreignObject），否则导出 PNG 时画布会被污染
+        lib.initialize({ startOnLoad: false, securityLevel: 'strict', theme, htmlLabels: false, flowchart: { htmlLabels: false } });
+        const { svg } = await lib.render(renderId, source);
+        result = { svg };
+    } catch (error) {
+        result = { error: error.message || String(error) };
+    } finally {
+        // 出错时 mermaid 可能留下临时元素
+        document.getElementById(`d${renderId}`)?.remove();
+    }
+    
+    diagramCache.set(key, result);
+    if (diagramCache.size > DIAGRAM_CACHE_MAX) {
+        diagramCache.delete(diagramCache.keys().next().value);
+    }
+    return result;
+}
 
-// 全屏编辑功能
-const fullscreenBtn = document.getElementById('fullscreen-btn');
+/**
+ * 渲染容器中的一个图表
+ * 
+ * @param {HTMLElement} container - .diagram 容器
+ */
+async function renderDiagram(container) {
+    if (!container.isConnected) return;
+    const source = container.querySelector('.diagram-source').textContent;
+    const result = await renderDiagramSource(source, getDiagramTheme());
+    
+    container.querySelector('.diagram-svg, .diagram-error')?.remove();
+    container.classList.toggle('diagram-rendered', !!result.svg);
+    container.dataset.rendered = 'true';
+    
+    const output = document.createElement('div');
+    if (result.svg) {
+        output.className = 'diagram-svg';
+        output.title = '右键可下载为图片';
+        output.innerHTML = result.svg;
+    } else {
+        output.className = 'diagram-error';
+        output.textContent = `图表语法错误: ${result.error}`;
+    }
+    container.appendChild(output);
+}
 
-if (fullscreenBtn) {
-    fullscreenBtn.addEventListener('click', function() {
-        container.classList.toggle('fullscreen');
-        
-        if (container.classList.contains('fullscreen')) {
-            this.classList.add('active');
-            showToast('按 Esc 退出全屏');
-        } else {
-            this.classList.remove('active');
-        }
+/**
+ * 渲染元素中所有尚未渲染的图表
+ * 
+ * @param {HTMLElement} root - 要查找图表的元素
+ */
+function renderDiagrams(root) {
+    root.querySelectorAll('.diagram:not([data-rendered])').forEach(container => {
+        container.dataset.rendered = 'pending';
+        diagramRenderQueue = diagramRenderQueue
+            .then(() => renderDiagram(container))
+            .catch(error => console.error('图表渲染失败:', error));
     });
 }
 
-// ESC键退出全屏和F11全屏切换
-// 已合并到统一的键盘事件处理器中（见代码末尾）
+/**
+ * 切换深色模式后按新主题重新渲染预览中的图表
+ */
+function rerenderDiagrams() {
+    preview.querySelectorAll('.diagram[data-rendered]').forEach(container => container.removeAttribute('data-rendered'));
+    renderDiagrams(preview);
+}
 
-// 滚动同步功能
-const syncScrollBtn = document.getElementById('sync-scroll-btn');
-let syncScrollEnabled = true;
+/**
+ * 等待排队中的图表全部渲染完成（导出前调用）
+ * 
+ * @returns {Promise<void>}
+ */
+function waitForDiagrams() {
+    return diagramRenderQueue;
+}
 
-syncScrollBtn.addEventListener('click', function() {
-    syncScrollEnabled = !syncScrollEnabled;
-    this.classList.toggle('active', syncScrollEnabled);
-    showToast(syncScrollEnabled ? '滚动同步已开启' : '滚动同步已关闭');
-});
+const diagramMenu = document.getElementById('diagram-menu');
+let diagramMenuTarget = null;
+
+/**
+ * 关闭图表右键菜单
+ */
+function closeDiagramMenu() {
+    diagramMenu.classList.remove('show');
+    diagramMenuTarget = null;
+}
 
-// 滚动同步 (优化版 - 使用 requestAnimationFrame)
-let isEditorScrolling = false;
-let isPreviewScrolling = false;
+/**
+ * 把 SVG 元素序列化为独立的 SVG 文件内容
+ * 
+ * @param {SVGSVGElement} svg - 图表 SVG
+ * @returns {string}
+ */
+function serializeDiagramSvg(svg) {
+    const clone = svg.cloneNode(true);
+    clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    return new XMLSerializer().serializeToString(clone);
+}
 
-// 编辑器滚动同步到预览区
-editor.addEventListener('scroll', function() {
-    if (!syncScrollEnabled || isPreviewScrolling) return;
-    
-    isEditorScrolling = true;
+/**
+ * 把 SVG 绘制到画布并导出为 PNG
+ * 
+ * @param {SVGSVGElement} svg - 图表 SVG
+ * @returns {Promise<Blob>}
+ */
+function diagramToPng(svg) {
+    const { width, height } = svg.getBoundingClientRect();
+    const scale = Math.max(window.devicePixelRatio || 1, 2);
+    const url = URL.createObjectURL(new Blob([serializeDiagramSvg(svg)], { type: 'image/svg+xml' }));
     
-    requestAnimationFrame(() => {
-        const scrollPercentage = editor.scrollTop / (editor.scrollHeight - editor.clientHeight);
-        const previewScrollTop = scrollPercentage * (preview.scrollHeight - preview.clientHeight);
-        preview.scrollTop = previewScrollTop;
-        
-        setTimeout(() => { isEditorScrolling = false; }, 50);
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.ceil(width * scale);
+            canvas.height = Math.ceil(height * scale);
+            const context = canvas.getContext('2d');
+            // 透明背景在图片查看器中不易看清，按预览区背景色填充
+            context.fillStyle = getComputedStyle(preview).backgroundColor || '#ffffff';
+            context.fillRect(0, 0, canvas.width, canvas.height);
+            context.drawImage(image, 0, 0, canvas.width, canvas.height);
+            URL.revokeObjectURL(url);
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('无法生成 PNG')), 'image/png');
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('无法读取图表 SVG'));
+        };
+        image.src = url;
     });
-});
+}
 
-// 预览区滚动同步到编辑器
-preview.addEventListener('scroll', function() {
-    if (!syncScrollEnabled || isEditorScrolling) return;
+/**
+ * 下载右键菜单对应的图表
+ * 
+ * @param {string} format - 'svg' 或 'png'
+ */
+async function downloadDiagram(format) {
+    const svg = diagramMenuTarget && diagramMenuTarget.querySelector('svg');
+    closeDiagramMenu();
+    if (!svg) return;
     
-    isPreviewScrolling = true;
+    try {
+        const blob = format === 'png'
+            ? await diagramToPng(svg)
+            : new Blob([serializeDiagramSvg(svg)], { type: 'image/svg+xml;charset=utf-8' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `diagram-${Date.now()}.${format}`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+        showToast(`图表已下载为 ${format.toUpperCase()}`);
+    } catch (error) {
+        console.error('图表下载失败:', error);
+        showToast('图表下载失败');
+    }
+}
+
+preview.addEventListener('contextmenu', (e) => {
+    const target = e.target.closest('.diagram-svg');
+    if (!target) return;
     
-    requestAnimationFrame(() => {
-        const scrollPercentage = preview.scrollTop / (preview.scrollHeight - preview.clientHeight);
-        const editorScrollTop = scrollPercentage * (editor.scrollHeight - editor.clientHeight);
-        editor.scrollTop = editorScrollTop;
-        
-        setTimeout(() => { isPreviewScrolling = false; }, 50);
-    });
+    e.preventDefault();
+    diagramMenuTarget = target;
+    diagramMenu.style.left = `${Math.min(e.clientX, window.innerWidth - 160)}px`;
+    diagramMenu.style.top = `${Math.min(e.clientY, window.innerHeight - 90)}px`;
+    diagramMenu.classList.add('show');
 });
 
-// 初始化
-window.addEventListener('load', function() {
-    loadFromLocalStorage();
-    
-    // 设置滚动同步按钮初始状态
-    if (syncScrollEnabled) {
-        syncScrollBtn.classList.add('active');
+diagramMenu.addEventListener('click', (e) => {
+    const item = e.target.closest('[data-format]');
+    if (item) {
+        downloadDiagram(item.dataset.format);
     }
 });
 
-// 复制Markdown功能
-const copyMdBtn = document.getElementById('copy-md-btn');
+document.addEventListener('click', (e) => {
+    if (diagramMenu.classList.contains('show') && !diagramMenu.contains(e.target)) {
+        closeDiagramMenu();
+    }
+});
 
-if (copyMdBtn) {
-    copyMdBtn.addEventListener('click', function() {
-        const markdownContent = editor.value;
-        
-        // 使用 Clipboard API 复制纯文本
-        navigator.clipboard.writeText(markdownContent).then(() => {
-            showToast('Markdown内容已复制');
-        }).catch(() => {
-            // 如果Clipboard API失败，使用传统方法
-            editor.select();
-            document.execCommand('copy');
-            // 取消选择
-            editor.setSelectionRange(editor.value.length, editor.value.length);
-            showToast('Markdown内容已复制');
-        });
-    });
-}
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && diagramMenu.classList.contains('show')) {
+        closeDiagramMenu();
+    }
+});
 
-// 保存进度功能
-const saveProgressBtn = document.getElementById('save-progress-btn');
+preview.addEventListener('scroll', () => {
+    if (diagramMenu.classList.contains('show')) {
+        closeDiagramMenu();
+    }
+});
 
-if (saveProgressBtn) {
-    saveProgressBtn.addEventListener('click', function() {
-        const progress = {
-            timestamp: Date.now(),
-            editorContent: editor.value,
-            leftPanelWidth: leftPanel.style.flexBasis,
-            centerPanelWidth: centerPanel.style.flexBasis,
-            isDarkMode: document.body.classList.contains('dark-mode'),
-            themeColor: localStorage.getItem('themeColor'),
-            activeTool: document.querySelector('.tool-btn.active')?.dataset.tool || 'calculator',
-            todos: JSON.parse(localStorage.getItem('todos') || '[]'),
-            notes: JSON.parse(localStorage.getItem('notes') || '[]'),
-            savedFileCount: parseInt(localStorage.getItem('savedFileCount') || '0')
-        };
-        
-        // 保存到进度槽1
-        localStorage.setItem('progress', JSON.stringify(progress));
-        
-        const date = new Date(progress.timestamp);
-        showToast(`进度已保存 - ${date.toLocaleString()}`);
+// ========================================
+// 存储层 (IndexedDB，不可用时回退到 localStorage)
+// ========================================
+const STORAGE_DB_NAME = 'cool-markdown';
+const STORAGE_DB_VERSION = 4;
+const STORAGE_MIGRATED_KEY = '__migratedFromLocalStorage';
+const STORAGE_WARNING_RATIO = 0.9; // 存储占用超过 90% 时提醒
+const LOCAL_STORAGE_QUOTA = 5 * 1024 * 1024; // localStorage 回退模式的估算配额
+
+// 存放在 IndexedDB 中的数据键（首次运行时从 localStorage 迁移）
+const INDEXED_STORAGE_KEYS = [
+    'documents',
+    'activeDocumentId',
+    'editorContent',
+    'editorLastSave',
+    'todos',
+    'notes',
+    'progress'
+];
+
+let storageDB = null;
+// 内存缓存：启动时一次性读入，之后同步读取，写入时同时更新缓存和数据库
+const storageCache = new Map();
+let storageWarningShown = false;
+
+/**
+ * 将 IDBRequest 包装为 Promise
+ * 
+ * @param {IDBRequest} request - IndexedDB 请求
+ * @returns {Promise<*>} 请求结果
+ */
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
     });
 }
 
-// 恢复进度功能
-const loadProgressBtn = document.getElementById('load-progress-btn');
+/**
+ * 等待 IndexedDB 事务完成
+ * 
+ * @param {IDBTransaction} transaction - IndexedDB 事务
+ * @returns {Promise<void>}
+ */
+function idbTransactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new DOMException('事务已中止', 'AbortError'));
+    });
+}
 
-if (loadProgressBtn) {
-    loadProgressBtn.addEventListener('click', function() {
-        const savedProgress = localStorage.getItem('progress');
-        
-        if (!savedProgress) {
-            showToast('没有找到保存的进度');
-            return;
-        }
-        
-        if (confirm('确定要恢复保存的进度吗？这将覆盖当前内容。')) {
-            const progress = JSON.parse(savedProgress);
-            
-            // 恢复编辑器内容
-            editor.value = progress.editorContent;
-            preview.innerHTML = marked.parse(progress.editorContent);
-            
-            // 恢复面板宽度
-            if (progress.leftPanelWidth) {
-                leftPanel.style.flexBasis = progress.leftPanelWidth;
-            }
-            if (progress.centerPanelWidth) {
-                centerPanel.style.flexBasis = progress.centerPanelWidth;
+/**
+ * 打开（必要时创建/升级）应用数据库
+ * 
+ * @returns {Promise<IDBDatabase>}
+ */
+function openStorageDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(STORAGE_DB_NAME, STORAGE_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains('keyval')) {
+                db.createObjectStore('keyval');
             }
-            
-            // 恢复主题设置
-            if (progress.isDarkMode) {
-                document.body.classList.add('dark-mode');
-                themeIcon.textContent = '☀️';
-            } else {
-                document.body.classList.remove('dark-mode');
-                themeIcon.textContent = '🌙';
+            // v2: 文档版本历史
+            if (!db.objectStoreNames.contains('revisions')) {
+                const revisions = db.createObjectStore('revisions', { keyPath: 'id', autoIncrement: true });
+                revisions.createIndex('documentId', 'documentId');
             }
-            
-            // 恢复主题色
-            if (progress.themeColor) {
-                document.body.classList.remove('theme-lotus', 'theme-sunrise', 'theme-sunset', 'theme-garden');
-                if (progress.themeColor !== 'default') {
-                    document.body.classList.add(`theme-${progress.themeColor}`);
-                }
-                localStorage.setItem('themeColor', progress.themeColor);
+            // v3: 本地文件句柄（最近文件列表）
+            if (!db.objectStoreNames.contains('files')) {
+                db.createObjectStore('files', { keyPath: 'id', autoIncrement: true });
             }
-            
-            // 恢复工具选择
-            if (progress.activeTool) {
-                const toolBtn = document.querySelector(`[data-tool="${progress.activeTool}"]`);
-                if (toolBtn) {
-                    toolBtn.click();
-                }
+            // v4: 本地图片资源
+            if (!db.objectStoreNames.contains('assets')) {
+                db.createObjectStore('assets', { keyPath: 'id' });
             }
-            
-            // 恢复待办事项
-            if (progress.todos) {
-                todos = progress.todos;
-                saveTodos();
-                renderTodos();
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('数据库被其他页面占用'));
+    });
+}
+
+/**
+ * 初始化存储层
+ * 
+ * 打开 IndexedDB 并把所有数据读入内存缓存；首次运行时把
+ * localStorage 中的旧数据迁移到 IndexedDB。如果浏览器不支持
+ * IndexedDB（或处于禁止使用的隐私模式），则回退到 localStorage。
+ * 
+ * @returns {Promise<void>}
+ */
+async function initStorage() {
+    try {
+        if (!window.indexedDB) {
+            throw new Error('当前浏览器不支持 IndexedDB');
+        }
+        storageDB = await openStorageDatabase();
+        // 其他标签页升级数据库时主动关闭连接，避免阻塞升级
+        storageDB.onversionchange = () => {
+            storageDB.close();
+            storageDB = null;
+            showToast('数据库已在其他标签页中升级，请刷新页面', 6000);
+        };
+        
+        const store = storageDB.transaction('keyval', 'readonly').objectStore('keyval');
+        const [keys, values] = await Promise.all([
+            idbRequest(store.getAllKeys()),
+            idbRequest(store.getAll())
+        ]);
+        keys.forEach((key, index) => storageCache.set(key, values[index]));
+        
+        if (!storageCache.has(STORAGE_MIGRATED_KEY)) {
+            await migrateLocalStorageData();
+        }
+    } catch (e) {
+        console.warn('IndexedDB 不可用，回退到 localStorage:', e);
+        storageDB = null;
+        storageCache.clear();
+        INDEXED_STORAGE_KEYS.forEach(key => {
+            const value = localStorage.getItem(key);
+            if (value !== null) {
+                storageCache.set(key, value);
             }
-            
-            // 恢复便签
+        });
+    }
+    
+    // 请求持久化存储，降低浏览器在空间紧张时清理数据的可能
+    if (storageDB && navigator.storage && navigator.storage.persist) {
+        navigator.storage.persist().catch(() => {});
+    }
+}
+
+/**
+ * 将 localStorage 中的旧数据迁移到 IndexedDB
+ * 
+ * 只有在写入 IndexedDB 成功后才会删除 localStorage 中的旧数据。
+ * 
+ * @returns {Promise<void>}
+ */
+async function migrateLocalStorageData() {
+    const entries = { [STORAGE_MIGRATED_KEY]: String(Date.now()) };
+    INDEXED_STORAGE_KEYS.forEach(key => {
+        const value = localStorage.getItem(key);
+        if (value !== null && !storageCache.has(key)) {
+            entries[key] = value;
+        }
+    });
+    
+    await storageSetItems(entries);
+    INDEXED_STORAGE_KEYS.forEach(key => localStorage.removeItem(key));
+}
+
+/**
+ * 同步读取存储的值
+ * 
+ * @param {string} key - 存储键
+ * @returns {string|null} 存储值，不存在时返回 null
+ */
+function storageGetItem(key) {
+    return storageCache.has(key) ? storageCache.get(key) : null;
+}
+
+/**
+ * 从数据库重新读取指定的值并刷新内存缓存
+ * 
+ * 用于获取其他标签页写入的最新数据。
+ * 
+ * @param {string[]} keys - 存储键
+ * @returns {Promise<void>}
+ */
+async function storageReloadItems(keys) {
+    let values;
+    if (storageDB) {
+        const store = storageDB.transaction('keyval', 'readonly').objectStore('keyval');
+        values = await Promise.all(keys.map(key => idbRequest(store.get(key))));
+    } else {
+        values = keys.map(key => localStorage.getItem(key) ?? undefined);
+    }
+    
+    keys.forEach((key, i) => {
+        if (values[i] === undefined) {
+            storageCache.delete(key);
+        } else {
+            storageCache.set(key, values[i]);
+        }
+    });
+}
+
+/**
+ * 在一个事务中批量写入多个值
+ * 
+ * @param {Object<string, string>} entries - 键值对
+ * @returns {Promise<void>} 写入失败（例如超出配额）时 reject
+ */
+function storageSetItems(entries) {
+    if (!storageDB) {
+        try {
+            Object.entries(entries).forEach(([key, value]) => {
+                localStorage.setItem(key, value);
+                storageCache.set(key, value);
+            });
+            return Promise.resolve();
+        } catch (e) {
+            return Promise.reject(e);
+        }
+    }
+    
+    const transaction = storageDB.transaction('keyval', 'readwrite');
+    const store = transaction.objectStore('keyval');
+    Object.entries(entries).forEach(([key, value]) => store.put(value, key));
+    
+    return idbTransactionDone(transaction).then(() => {
+        Object.entries(entries).forEach(([key, value]) => storageCache.set(key, value));
+    });
+}
+
+/**
+ * 批量删除存储的值
+ * 
+ * @param {string[]} keys - 要删除的存储键
+ * @returns {Promise<void>}
+ */
+function storageRemoveItems(keys) {
+    keys.forEach(key => storageCache.delete(key));
+    
+    if (!storageDB) {
+        keys.forEach(key => localStorage.removeItem(key));
+        return Promise.resolve();
+    }
+    
+    const transaction = storageDB.transaction('keyval', 'readwrite');
+    const store = transaction.objectStore('keyval');
+    keys.forEach(key => store.delete(key));
+    return idbTransactionDone(transaction);
+}
+
+/**
+ * 清空存储层中的所有数据
+ * 
+ * @returns {Promise<void>}
+ */
+function storageClear() {
+    storageCache.clear();
+    memoryRecordStores.clear();
+    
+    if (!storageDB) {
+        return Promise.resolve();
+    }
+    
+    const transaction = storageDB.transaction(Array.from(storageDB.objectStoreNames), 'readwrite');
+    Array.from(storageDB.objectStoreNames).forEach(name => transaction.objectStore(name).clear());
+    return idbTransactionDone(transaction);
+}
+
+// IndexedDB 不可用时，记录型数据（如版本历史）只保存在内存中
+const memoryRecordStores = new Map();
+let memoryRecordId = 0;
+
+/**
+ * 获取内存回退模式下的记录表
+ * 
+ * @param {string} storeName - 记录表名称
+ * @returns {Map<number, Object>}
+ */
+function getMemoryRecordStore(storeName) {
+    if (!memoryRecordStores.has(storeName)) {
+        memoryRecordStores.set(storeName, new Map());
+    }
+    return memoryRecordStores.get(storeName);
+}
+
+/**
+ * 向记录表中添加一条记录
+ * 
+ * @param {string} storeName - 记录表名称
+ * @param {Object} record - 记录（不含 id，由数据库自动生成）
+ * @returns {Promise<number>} 新记录的 id
+ */
+function storageAddRecord(storeName, record) {
+    if (!storageDB) {
+        const id = ++memoryRecordId;
+        getMemoryRecordStore(storeName).set(id, { ...record, id });
+        return Promise.resolve(id);
+    }
+    
+    const transaction = storageDB.transaction(storeName, 'readwrite');
+    const request = transaction.objectStore(storeName).add(record);
+    return idbTransactionDone(transaction).then(() => request.result);
+}
+
+/**
+ * 写入一条记录（已存在时覆盖）
+ * 
+ * @param {string} storeName - 记录表名称
+ * @param {Object} record - 带 id 的完整记录
+ * @returns {Promise<void>}
+ */
+function storagePutRecord(storeName, record) {
+    if (!storageDB) {
+        getMemoryRecordStore(storeName).set(record.id, record);
+        return Promise.resolve();
+    }
+    
+    const transaction = storageDB.transaction(storeName, 'readwrite');
+    transaction.objectStore(storeName).put(record);
+    return idbTransactionDone(transaction);
+}
+
+/**
+ * 按 id 读取单条记录
+ * 
+ * @param {string} storeName - 记录表名称
+ * @param {*} id - 记录 id
+ * @returns {Promise<Object|undefined>} 记录，不存在时为 undefined
+ */
+function storageGetRecord(storeName, id) {
+    if (!storageDB) {
+        return Promise.resolve(getMemoryRecordStore(storeName).get(id));
+    }
+    
+    const store = storageDB.transaction(storeName, 'readonly').objectStore(storeName);
+    return idbRequest(store.get(id));
+}
+
+/**
+ * 读取记录表中的全部记录
+ * 
+ * @param {string} storeName - 记录表名称
+ * @returns {Promise<Object[]>} 所有记录
+ */
+function storageGetAllRecords(storeName) {
+    if (!storageDB) {
+        return Promise.resolve(Array.from(getMemoryRecordStore(storeName).values()));
+    }
+    
+    const store = storageDB.transaction(storeName, 'readonly').objectStore(storeName);
+    return idbRequest(store.getAll());
+}
+
+/**
+ * 按索引查询记录
+ * 
+ * @param {string} storeName - 记录表名称
+ * @param {string} indexName - 索引名称（与记录字段同名）
+ * @param {*} value - 索引值
+ * @returns {Promise<Object[]>} 匹配的记录
+ */
+function storageGetRecordsByIndex(storeName, indexName, value) {
+    if (!storageDB) {
+        const records = Array.from(getMemoryRecordStore(storeName).values());
+        return Promise.resolve(records.filter(r => r[indexName] === value));
+    }
+    
+    const store = storageDB.transaction(storeName, 'readonly').objectStore(storeName);
+    return idbRequest(store.index(indexName).getAll(value));
+}
+
+/**
+ * 批量删除记录
+ * 
+ * @param {string} storeName - 记录表名称
+ * @param {Array<number>} ids - 记录 id
+ * @returns {Promise<void>}
+ */
+function storageDeleteRecords(storeName, ids) {
+    if (ids.length === 0) return Promise.resolve();
+    
+    if (!storageDB) {
+        const store = getMemoryRecordStore(storeName);
+        ids.forEach(id => store.delete(id));
+        return Promise.resolve();
+    }
+    
+    const transaction = storageDB.transaction(storeName, 'readwrite');
+    const store = transaction.objectStore(storeName);
+    ids.forEach(id => store.delete(id));
+    return idbTransactionDone(transaction);
+}
+
+/**
+ * 估算存储空间占用
+ * 
+ * @returns {Promise<{usage: number, quota: number}>} 已用字节数和配额
+ */
+async function estimateStorageUsage() {
+    if (storageDB && navigator.storage && navigator.storage.estimate) {
+        const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+        return { usage, quota };
+    }
+    
+    // localStorage 以 UTF-16 存储，每个字符约占 2 字节
+    let usage = 0;
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        usage += (key.length + (localStorage.getItem(key) || '').length) * 2;
+    }
+    return { usage, quota: LOCAL_STORAGE_QUOTA };
+}
+
+/**
+ * 将字节数格式化为易读的字符串
+ * 
+ * @param {number} bytes - 字节数
+ * @returns {string} 例如 '1.5 MB'
+ */
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+}
+
+/**
+ * 检查存储空间占用
+ * 
+ * 更新设置面板中的存储统计；占用超过阈值时提醒用户（每次会话只提醒一次）。
+ */
+async function checkStorageQuota() {
+    try {
+        const { usage, quota } = await estimateStorageUsage();
+        if (!quota) return;
+        
+        const ratio = usage / quota;
+        const statStorage = document.getElementById('stat-storage');
+        if (statStorage) {
+            statStorage.textContent = `${formatBytes(usage)} (${Math.round(ratio * 100)}%)`;
+            statStorage.classList.toggle('warning', ratio >= STORAGE_WARNING_RATIO);
+        }
+        
+        if (ratio >= STORAGE_WARNING_RATIO && !storageWarningShown) {
+            storageWarningShown = true;
+            showToast(`存储空间即将用尽（已用 ${Math.round(ratio * 100)}%），请导出并清理不需要的文档`, 6000);
+        }
+    } catch (e) {
+        console.warn('无法获取存储空间信息:', e);
+    }
+}
+
+/**
+ * 将存储错误转换为用户可读的说明
+ * 
+ * @param {Error} error - 存储时抛出的错误
+ * @returns {string} 错误说明
+ */
+function describeStorageError(error) {
+    if (error && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED')) {
+        return '存储空间已满';
+    }
+    return (error && error.message) || '未知错误';
+}
+
+// 立即开始初始化存储层，其他模块通过 storageReady 等待数据就绪
+const storageReady = initStorage();
+
+// ========================================
+// 自动保存功能 (优化版)
+// ========================================
+const autoSaveInterval = 3000; // 3秒自动保存
+const autoSaveStatus = document.getElementById('auto-save-status');
+
+// 批量存储缓冲区，减少存储 I/O 次数
+let pendingSaveData = {};
+let saveTimeout = null;
+let autoSaveStatusTimeout = null;
+
+/**
+ * 批量保存数据到存储层
+ * 
+ * 将所有待保存的数据在一个事务中写入，减少 I/O 操作次数。
+ * 写入失败时数据会放回缓冲区，等待下次保存时重试。
+ * 
+ * @returns {Promise<void>}
+ */
+function flushSaveData() {
+    if (saveTimeout) {
+        clearTimeout(saveTimeout);
+        saveTimeout = null;
+    }
+    if (Object.keys(pendingSaveData).length === 0) return Promise.resolve();
+    
+    const batch = pendingSaveData;
+    const syncSnapshot = pendingSyncSnapshot;
+    pendingSaveData = {};
+    pendingSyncSnapshot = null;
+    
+    return storageSetItems(batch).then(() => {
+        showAutoSaveStatus('saved');
+        checkStorageQuota();
+        if ('documents' in batch) {
+            markDocumentsSynced(syncSnapshot);
+            captureAutoRevisions();
+        }
+        broadcastSync({ type: 'saved', keys: Object.keys(batch) });
+    }).catch(e => {
+        console.error('保存失败:', e);
+        // 写入期间产生的新数据优先
+        pendingSaveData = { ...batch, ...pendingSaveData };
+        pendingSyncSnapshot = pendingSyncSnapshot || syncSnapshot;
+        showAutoSaveStatus('error', describeStorageError(e));
+    });
+}
+
+/**
+ * 添加待保存数据到缓冲区
+ * 
+ * @param {string} key - 存储键
+ * @param {string} value - 存储值
+ */
+function queueSaveData(key, value) {
+    pendingSaveData[key] = value;
+    
+    // 重置定时器
+    if (saveTimeout) {
+        clearTimeout(saveTimeout);
+    }
+    
+    saveTimeout = setTimeout(flushSaveData, autoSaveInterval);
+}
+
+/**
+ * 保存编辑器内容到存储层
+ * 
+ * 将当前编辑器的内容、光标和滚动位置写回当前文档，并把整个文档库
+ * 加入批量保存队列，实现数据的持久化存储，防止意外刷新丢失内容。
+ */
+function saveToStorage() {
+    const doc = getActiveDocument();
+    // 文档库尚未加载完成时不保存，避免覆盖已有数据
+    if (!doc) return;
+    
+    captureActiveDocumentState();
+    doc.lastSaved = Date.now();
+    persistDocuments();
+    renderDocumentTabs();
+}
+
+/**
+ * 显示自动保存状态提示
+ * 
+ * 在编辑器状态栏显示保存状态（正在保存/已保存/保存失败），
+ * 正常状态在2秒后自动隐藏；失败状态会一直显示，直到下次保存成功。
+ * 
+ * @param {string} status - 保存状态，可选值为 'saving'、'saved' 或 'error'
+ * @param {string} message - 失败原因，仅在 'error' 状态下使用
+ */
+function showAutoSaveStatus(status, message = '') {
+    autoSaveStatus.classList.remove('saving', 'saved', 'error');
+    autoSaveStatus.removeAttribute('title');
+    if (status === 'saving') {
+        autoSaveStatus.classList.add('saving');
+        autoSaveStatus.textContent = '正在保存...';
+    } else if (status === 'saved') {
+        autoSaveStatus.classList.add('saved');
+        autoSaveStatus.textContent = '已自动保存';
+    } else if (status === 'error') {
+        autoSaveStatus.classList.add('error');
+        autoSaveStatus.textContent = `保存失败：${message}`;
+        autoSaveStatus.title = '点击重试';
+    }
+    
+    autoSaveStatus.classList.add('show');
+    
+    clearTimeout(autoSaveStatusTimeout);
+    if (status !== 'error') {
+        autoSaveStatusTimeout = setTimeout(() => {
+            autoSaveStatus.classList.remove('show');
+        }, 2000);
+    }
+}
+
+// 保存失败时点击状态提示立即重试
+autoSaveStatus.addEventListener('click', function() {
+    if (this.classList.contains('error')) {
+        showAutoSaveStatus('saving');
+        flushSaveData();
+    }
+});
+
+// 使用防抖优化自动保存，减少不必要的存储写入
+const debouncedSave = debounce(() => {
+    saveToStorage();
+}, autoSaveInterval);
+
+editor.addEventListener('input', debouncedSave);
+
+// 页面隐藏（切换标签页、最小化）或卸载前确保所有数据已保存
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+        flushSaveData();
+    }
+});
+
+window.addEventListener('beforeunload', () => {
+    flushSaveData();
+});
+
+/**
+ * 从存储层加载文档库
+ * 
+ * 尝试从存储层恢复文档库和当前文档：
+ * - 如果有保存的文档库，直接加载上次打开的文档
+ * - 如果只有旧版的 editorContent，迁移为文档库中的第一个文档
+ * - 如果是第一次访问（hasVisited 不存在），创建带欢迎介绍文本的文档
+ * - 如果已访问过但没有保存内容，创建一个空白文档
+ */
+function loadFromStorage() {
+    documents = JSON.parse(storageGetItem('documents') || '[]');
+    
+    if (documents.length === 0) {
+        const legacyContent = storageGetItem('editorContent');
+        const hasVisited = localStorage.getItem('hasVisited');
+        
+        if (legacyContent && legacyContent.trim() !== '') {
+            // 迁移旧版单文档数据
+            const doc = createDocument('文档 1', legacyContent);
+            doc.lastSaved = parseInt(storageGetItem('editorLastSave')) || doc.lastSaved;
+            documents.push(doc);
+        } else if (!hasVisited) {
+            // 第一次访问，显示介绍文本
+            documents.push(createDocument('欢迎使用', editor.placeholder));
+            localStorage.setItem('hasVisited', 'true');
+        } else {
+            documents.push(createDocument(getNextUntitledTitle()));
+        }
+        
+        storageSetItems({ documents: JSON.stringify(documents) })
+            .then(() => storageRemoveItems(['editorContent', 'editorLastSave']))
+            .catch(e => showAutoSaveStatus('error', describeStorageError(e)));
+    }
+    
+    const savedActiveId = storageGetItem('activeDocumentId');
+    activeDocumentId = documents.some(d => d.id === savedActiveId) ? savedActiveId : documents[0].id;
+    
+    documents.forEach(doc => syncBase.set(doc.id, createSyncSnapshot(doc)));
+    
+    loadDocumentIntoEditor(getActiveDocument());
+    renderDocumentTabs();
+    showAutoSaveStatus('saved');
+}
+
+// ========================================
+// 多文档工作区
+// ========================================
+const documentTabList = document.getElementById('document-tab-list');
+const newDocBtn = document.getElementById('new-doc-btn');
+const duplicateDocBtn = document.getElementById('duplicate-doc-btn');
+const renameDocBtn = document.getElementById('rename-doc-btn');
+
+// 文档库：每个文档独立保存内容、光标、滚动位置和最后保存时间
+const APP_TITLE = document.title;
+let documents = [];
+let activeDocumentId = null;
+
+/**
+ * 生成唯一的文档 ID
+ * 
+ * @returns {string} 文档 ID
+ */
+function generateDocumentId() {
+    return 'doc-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 8);
+}
+
+/**
+ * 创建新的文档对象（不会自动加入文档库）
+ * 
+ * @param {string} title - 文档标题
+ * @param {string} content - 文档内容，默认为空
+ * @returns {Object} 文档对象
+ */
+function createDocument(title, content = '') {
+    const now = Date.now();
+    return {
+        id: generateDocumentId(),
+        title,
+        content,
+        selectionStart: 0,
+        selectionEnd: 0,
+        scrollTop: 0,
+        createdAt: now,
+        lastSaved: now,
+        fileId: null, // 关联的磁盘文件记录（见"本地文件读写"）
+        fileName: null,
+        dirty: false,
+        trusted: false, // 受信任的文档不过滤 HTML（见"HTML 净化"）
+        version: 0, // 跨标签页同步用的修改版本号（见"跨标签页同步"）
+        editedBy: null
+    };
+}
+
+/**
+ * 获取当前打开的文档
+ * 
+ * @returns {Object|null} 当前文档对象
+ */
+function getActiveDocument() {
+    return documents.find(d => d.id === activeDocumentId) || null;
+}
+
+/**
+ * 生成不重复的"未命名文档 N"标题
+ * 
+ * @returns {string} 文档标题
+ */
+function getNextUntitledTitle() {
+    let index = 1;
+    while (documents.some(d => d.title === `未命名文档 ${index}`)) {
+        index++;
+    }
+    return `未命名文档 ${index}`;
+}
+
+/**
+ * 将编辑器的当前状态写回当前文档
+ * 
+ * 记录内容、选区和滚动位置，在切换文档和自动保存前调用。
+ */
+function captureActiveDocumentState() {
+    const doc = getActiveDocument();
+    if (!doc) return;
+    
+    doc.content = editor.value;
+    doc.selectionStart = editor.selectionStart;
+    doc.selectionEnd = editor.selectionEnd;
+    doc.scrollTop = editor.scrollTop;
+}
+
+/**
+ * 将文档库加入批量保存队列
+ */
+function persistDocuments() {
+    stampDocumentChanges();
+    pendingSyncSnapshot = documents.map(createSyncSnapshot);
+    queueSaveData('documents', JSON.stringify(documents));
+    queueSaveData('activeDocumentId', activeDocumentId);
+}
+
+/**
+ * 将文档加载到编辑器，恢复其光标和滚动位置
+ * 
+ * @param {Object} doc - 要加载的文档对象
+ */
+function loadDocumentIntoEditor(doc) {
+    editor.value = doc.content;
+    attachUndoHistory(doc.id, doc.content);
+    renderPreview(doc.content);
+    editor.setSelectionRange(doc.selectionStart, doc.selectionEnd);
+    editor.scrollTop = doc.scrollTop;
+    updateWordCount();
+    updateLineColumnInfo();
+}
+
+/**
+ * 切换到指定文档
+ * 
+ * 先保存当前文档的编辑状态，再加载目标文档。
+ * 
+ * @param {string} id - 目标文档 ID
+ */
+function switchDocument(id) {
+    if (id === activeDocumentId) return;
+    const target = documents.find(d => d.id === id);
+    if (!target) return;
+    
+    captureActiveDocumentState();
+    activeDocumentId = id;
+    loadDocumentIntoEditor(target);
+    renderDocumentTabs();
+    persistDocuments();
+}
+
+/**
+ * 新建文档并切换到该文档
+ * 
+ * @param {string} title - 文档标题，默认为"未命名文档 N"
+ * @param {string} content - 文档内容，默认为空
+ * @returns {Object} 新建的文档对象
+ */
+function addDocument(title = getNextUntitledTitle(), content = '') {
+    const doc = createDocument(title, content);
+    const activeIndex = documents.findIndex(d => d.id === activeDocumentId);
+    documents.splice(activeIndex + 1, 0, doc);
+    switchDocument(doc.id);
+    return doc;
+}
+
+/**
+ * 复制当前文档
+ */
+function duplicateActiveDocument() {
+    captureActiveDocumentState();
+    const source = getActiveDocument();
+    if (!source) return;
+    
+    addDocument(`${source.title} 副本`, source.content);
+    showToast(`已复制文档: ${source.title}`);
+}
+
+/**
+ * 重命名文档
+ * 
+ * @param {string} id - 文档 ID
+ */
+function renameDocument(id) {
+    const doc = documents.find(d => d.id === id);
+    if (!doc) return;
+    
+    const newTitle = prompt('请输入新的文档名称：', doc.title);
+    if (newTitle === null || !newTitle.trim()) return;
+    
+    doc.title = newTitle.trim();
+    renderDocumentTabs();
+    persistDocuments();
+}
+
+/**
+ * 删除文档
+ * 
+ * 删除当前文档时自动切换到相邻文档；删除最后一个文档时新建空白文档。
+ * 
+ * @param {string} id - 文档 ID
+ */
+function deleteDocument(id) {
+    const index = documents.findIndex(d => d.id === id);
+    if (index === -1) return;
+    
+    const doc = documents[index];
+    if (!confirm(`确定要删除文档"${doc.title}"吗？此操作不可撤销。`)) return;
+    
+    documents.splice(index, 1);
+    deleteDocumentRevisions(id);
+    undoHistories.delete(id);
+    syncBase.delete(id);
+    deletedDocumentIds.add(id);
+    broadcastSync({ type: 'deleted', id });
+    
+    if (documents.length === 0) {
+        documents.push(createDocument(getNextUntitledTitle()));
+    }
+    
+    if (id === activeDocumentId) {
+        const next = documents[Math.min(index, documents.length - 1)];
+        activeDocumentId = next.id;
+        loadDocumentIntoEditor(next);
+    }
+    
+    renderDocumentTabs();
+    persistDocuments();
+    showToast(`已删除文档: ${doc.title}`);
+}
+
+/**
+ * 渲染文档标签栏
+ * 
+ * 优化：使用 DocumentFragment 批量更新 DOM。
+ */
+function renderDocumentTabs() {
+    const fragment = document.createDocumentFragment();
+    
+    documents.forEach(doc => {
+        const isActive = doc.id === activeDocumentId;
+        
+        const tab = document.createElement('div');
+        tab.className = 'document-tab';
+        tab.classList.toggle('active', isActive);
+        tab.dataset.id = doc.id;
+        tab.setAttribute('role', 'tab');
+        tab.setAttribute('aria-selected', String(isActive));
+        tab.title = `${doc.title}\n最后保存: ${new Date(doc.lastSaved).toLocaleString()}\n双击重命名`;
+        
+        const titleSpan = document.createElement('span');
+        titleSpan.className = 'document-tab-title';
+        titleSpan.textContent = doc.title;
+        
+        if (doc.fileName) {
+            tab.title += `\n文件: ${doc.fileName}${doc.dirty ? '（未保存）' : ''}`;
+        }
+        if (doc.fileName && doc.dirty) {
+            const dirtyDot = document.createElement('span');
+            dirtyDot.className = 'document-tab-dirty';
+            dirtyDot.textContent = '●';
+            tab.appendChild(dirtyDot);
+        }
+        
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'document-tab-close';
+        closeBtn.dataset.id = doc.id;
+        closeBtn.textContent = '×';
+        closeBtn.setAttribute('aria-label', `删除文档 ${doc.title}`);
+        
+        tab.appendChild(titleSpan);
+        tab.appendChild(closeBtn);
+        fragment.appendChild(tab);
+    });
+    
+    documentTabList.innerHTML = '';
+    documentTabList.appendChild(fragment);
+    updateDocumentTitle();
+    
+    // 确保当前标签在标签栏可见区域内
+    const activeTab = documentTabList.querySelector('.document-tab.active');
+    if (activeTab) {
+        const tabLeft = activeTab.offsetLeft;
+        const tabRight = tabLeft + activeTab.offsetWidth;
+        if (tabLeft < documentTabList.scrollLeft) {
+            documentTabList.scrollLeft = tabLeft;
+        } else if (tabRight > documentTabList.scrollLeft + documentTabList.clientWidth) {
+            documentTabList.scrollLeft = tabRight - documentTabList.clientWidth;
+        }
+    }
+}
+
+/**
+ * 更新页面标题，显示当前文档名；关联文件有未保存修改时加上 ● 标记
+ */
+function updateDocumentTitle() {
+    const doc = getActiveDocument();
+    if (!doc) {
+        document.title = APP_TITLE;
+        return;
+    }
+    const dirtyMark = doc.fileName && doc.dirty ? '● ' : '';
+    document.title = `${dirtyMark}${doc.fileName || doc.title} - ${APP_TITLE}`;
+}
+
+// 使用事件委托处理标签点击、关闭和重命名
+documentTabList.addEventListener('click', function(e) {
+    const closeBtn = e.target.closest('.document-tab-close');
+    if (closeBtn) {
+        e.stopPropagation();
+        deleteDocument(closeBtn.dataset.id);
+        return;
+    }
+    
+    const tab = e.target.closest('.document-tab');
+    if (tab) {
+        switchDocument(tab.dataset.id);
+    }
+});
+
+documentTabList.addEventListener('dblclick', function(e) {
+    const tab = e.target.closest('.document-tab');
+    if (tab && !e.target.closest('.document-tab-close')) {
+        renameDocument(tab.dataset.id);
+    }
+});
+
+newDocBtn.addEventListener('click', () => {
+    addDocument();
+    editor.focus();
+});
+duplicateDocBtn.addEventListener('click', duplicateActiveDocument);
+renameDocBtn.addEventListener('click', () => renameDocument(activeDocumentId));
+
+// ========================================
+// 搜索功能
+// ========================================
+const searchBtn = document.getElementById('search-btn');
+const searchBar = document.getElementById('search-bar');
+const searchInput = document.getElementById('search-input');
+const searchPrev = document.getElementById('search-prev');
+const searchNext = document.getElementById('search-next');
+const searchClose = document.getElementById('search-close');
+const searchCount = document.getElementById('search-count');
+
+let searchMatches = [];
+let currentMatchIndex = -1;
+
+/**
+ * 切换搜索栏的显示/隐藏状态
+ * 
+ * 如果搜索栏当前隐藏，则显示并聚焦到搜索输入框；
+ * 如果搜索栏当前显示，则隐藏它。
+ */
+function toggleSearchBar() {
+    const isVisible = searchBar.style.display !== 'none';
+    searchBar.style.display = isVisible ? 'none' : 'flex';
+    if (!isVisible) {
+        searchInput.focus();
+    }
+}
+
+/**
+ * 在编辑器中执行搜索
+ * 
+ * 搜索编辑器中所有匹配的文本，记录所有匹配项的位置和内容，
+ * 并高亮显示第一个匹配项。搜索是全局且不区分大小写的。
+ * 
+ * 搜索结果会更新 searchMatches 数组和 searchCount 显示。
+ */
+function performSearch() {
+    const searchText = searchInput.value.trim();
+    if (!searchText) {
+        searchCount.textContent = '0/0';
+        clearSearchHighlights();
+        return;
+    }
+    
+    searchMatches = [];
+    currentMatchIndex = -1;
+    
+    const content = editor.value;
+    let match;
+    // 转义正则表达式特殊字符，进行全局不区分大小写搜索
+    const regex = new RegExp(searchText.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+    
+    // 查找所有匹配项
+    while ((match = regex.exec(content)) !== null) {
+        searchMatches.push({
+            index: match.index,
+            text: match[0],
+            end: match.index + match[0].length
+        });
+    }
+    
+    if (searchMatches.length > 0) {
+        currentMatchIndex = 0;
+        highlightCurrentMatch();
+    }
+    
+    searchCount.textContent = `${currentMatchIndex + 1}/${searchMatches.length}`;
+}
+
+/**
+ * 高亮显示当前搜索匹配项
+ * 
+ * 将光标定位到当前匹配项的位置，并自动滚动编辑器使匹配项可见。
+ */
+function highlightCurrentMatch() {
+    if (searchMatches.length === 0 || currentMatchIndex < 0) return;
+    
+    const match = searchMatches[currentMatchIndex];
+    editor.focus();
+    editor.setSelectionRange(match.index, match.end);
+    // 滚动到匹配项位置，使其显示在编辑器中间
+    editor.scrollTop = editor.value.substring(0, match.index).split('\n').length * 20 - editor.clientHeight / 2;
+}
+
+/**
+ * 导航到上一个或下一个搜索匹配项
+ * 
+ * @param {number} direction - 导航方向，-1 表示上一个，1 表示下一个
+ * 
+ * 支持循环导航：从第一个匹配项导航到上一个会跳到最后一个，
+ * 从最后一个匹配项导航到下一个会跳到第一个。
+ */
+function navigateSearch(direction) {
+    if (searchMatches.length === 0) return;
+    
+    currentMatchIndex += direction;
+    
+    // 循环导航
+    if (currentMatchIndex < 0) {
+        currentMatchIndex = searchMatches.length - 1;
+    } else if (currentMatchIndex >= searchMatches.length) {
+        currentMatchIndex = 0;
+    }
+    
+    highlightCurrentMatch();
+    searchCount.textContent = `${currentMatchIndex + 1}/${searchMatches.length}`;
+}
+
+/**
+ * 清除搜索结果和高亮
+ * 
+ * 清空搜索匹配项数组、重置当前匹配索引、更新搜索计数显示。
+ */
+function clearSearchHighlights() {
+    searchMatches = [];
+    currentMatchIndex = -1;
+    searchCount.textContent = '0/0';
+}
+
+// 搜索按钮事件
+searchBtn.addEventListener('click', toggleSearchBar);
+
+// 优化：使用防抖处理搜索输入，减少频繁搜索
+const debouncedPerformSearch = debounce(performSearch, 300);
+
+// 搜索输入事件
+searchInput.addEventListener('input', debouncedPerformSearch);
+searchInput.addEventListener('keydown', function(e) {
+    if (e.key === 'Enter') {
+        e.preventDefault();
+        // 按Enter时立即执行搜索，不使用防抖
+        performSearch();
+        navigateSearch(1);
+    } else if (e.key === 'Escape') {
+        toggleSearchBar();
+    }
+});
+
+// 搜索导航按钮
+searchPrev.addEventListener('click', () => navigateSearch(-1));
+searchNext.addEventListener('click', () => navigateSearch(1));
+searchClose.addEventListener('click', toggleSearchBar);
+
+// 替换功能
+const replaceBtn = document.getElementById('replace-btn');
+const replaceAllBtn = document.getElementById('replace-all-btn');
+const replaceInput = document.getElementById('replace-input');
+
+if (replaceBtn) {
+    replaceBtn.addEventListener('click', function() {
+        const searchText = searchInput.value.trim();
+        const replaceText = replaceInput.value;
+        
+        if (!searchText || searchMatches.length === 0) {
+            showToast('请先搜索内容');
+            return;
+        }
+        
+        if (currentMatchIndex >= 0 && currentMatchIndex < searchMatches.length) {
+            const match = searchMatches[currentMatchIndex];
+            editorReplaceRange(match.index, match.end, replaceText);
+            
+            showToast('已替换');
+            
+            // 重新搜索
+            performSearch();
+        }
+    });
+}
+
+if (replaceAllBtn) {
+    replaceAllBtn.addEventListener('click', function() {
+        const searchText = searchInput.value.trim();
+        const replaceText = replaceInput.value;
+        
+        if (!searchText) {
+            showToast('请输入要搜索的内容');
+            return;
+        }
+        
+        const regex = new RegExp(searchText.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+        const matchCount = (editor.value.match(regex) || []).length;
+        
+        if (matchCount === 0) {
+            showToast('未找到匹配内容');
+            return;
+        }
+        
+        if (confirm(`确定要替换全部 ${matchCount} 处内容吗？`)) {
+            setEditorValue(editor.value.replace(regex, replaceText));
+            showToast(`已替换 ${matchCount} 处`);
+            performSearch();
+        }
+    });
+}
+
+// 快捷键 - 搜索
+// 已合并到统一的键盘事件处理器中（见代码末尾）
+
+// 清空编辑器功能
+const clearBtn = document.getElementById('clear-btn');
+
+clearBtn.addEventListener('click', function() {
+    if (confirm('确定要清空编辑器内容吗？可使用 Ctrl+Z 撤销。')) {
+        setEditorValue('');
+        saveToStorage();
+        showToast('编辑器已清空');
+    }
+});
+
+// 重置内容功能 - 恢复到初始欢迎内容
+const resetBtn = document.getElementById('reset-btn');
+
+resetBtn.addEventListener('click', function() {
+    if (confirm('确定要重置编辑器内容吗？此操作将恢复到初始欢迎内容。')) {
+        setEditorValue(editor.placeholder);
+        saveToStorage();
+        showToast('编辑器已重置');
+    }
+});
+
+// 全屏编辑功能
+const fullscreenBtn = document.getElementById('fullscreen-btn');
+
+if (fullscreenBtn) {
+    fullscreenBtn.addEventListener('click', function() {
+        container.classList.toggle('fullscreen');
+        
+        if (container.classList.contains('fullscreen')) {
+            this.classList.add('active');
+            showToast('按 Esc 退出全屏');
+        } else {
+            this.classList.remove('active');
+        }
+    });
+}
+
+// ESC键退出全屏和F11全屏切换
+// 已合并到统一的键盘事件处理器中（见代码末尾）
+
+// 滚动同步功能
+// 以预览分块记录的源码位置作为锚点：编辑器中块起始行的位置与预览区中该块的位置一一对应，
+// 锚点之间按比例换算。图片、表格和代码块的高度与源码行数相差很大时两侧也不会错位。
+const syncScrollBtn = document.getElementById('sync-scroll-btn');
+let syncScrollEnabled = true;
+let editorAnchorCache = null; // { value, width, offsets, tops }
+const syncedScrollTops = new Map(); // 元素 → 同步时设置的 scrollTop，用于忽略随之触发的 scroll 事件
+let scrollSyncFrame = 0;
+
+syncScrollBtn.addEventListener('click', function() {
+    syncScrollEnabled = !syncScrollEnabled;
+    this.classList.toggle('active', syncScrollEnabled);
+    if (syncScrollEnabled) {
+        syncScrollPosition(editor, preview);
+    }
+    showToast(syncScrollEnabled ? '滚动同步已开启' : '滚动同步已关闭');
+});
+
+/**
+ * 测量编辑器中多个位置所在行的顶部在滚动区域中的坐标
+ * 
+ * 自动换行时行高不固定，因此用样式相同的隐藏镜像元素一次性测量。
+ * 
+ * @param {number[]} offsets - 升序排列的文本偏移量
+ * @returns {number[]} 与 scrollTop 同一坐标系的像素值（含上内边距）
+ */
+function getEditorOffsetTops(offsets) {
+    const style = getComputedStyle(editor);
+    const mirror = document.createElement('div');
+    [
+        'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+        'fontFamily', 'fontSize', 'fontWeight', 'lineHeight', 'letterSpacing', 'tabSize'
+    ].forEach(prop => mirror.style[prop] = style[prop]);
+    Object.assign(mirror.style, {
+        position: 'absolute',
+        visibility: 'hidden',
+        top: '0',
+        left: '-9999px',
+        boxSizing: 'border-box',
+        width: `${editor.clientWidth}px`,
+        whiteSpace: 'pre-wrap',
+        overflowWrap: 'break-word'
+    });
+    
+    const value = editor.value;
+    let last = 0;
+    const markers = offsets.map(offset => {
+        mirror.appendChild(document.createTextNode(value.slice(last, offset)));
+        last = offset;
+        const marker = document.createElement('span');
+        marker.textContent = '\u200b';
+        mirror.appendChild(marker);
+        return marker;
+    });
+    document.body.appendChild(mirror);
+    
+    const tops = markers.map(marker => marker.offsetTop);
+    mirror.remove();
+    return tops;
+}
+
+/**
+ * 计算编辑器中某个位置所在行的顶部相对内容顶部的距离
+ * 
+ * @param {number} offset - 文本偏移量
+ * @returns {number} 像素
+ */
+function getEditorOffsetTop(offset) {
+    return getEditorOffsetTops([offset])[0] - parseFloat(getComputedStyle(editor).paddingTop);
+}
+
+/**
+ * 收集两侧对应的锚点位置
+ * 
+ * 编辑器一侧需要测量文本，结果缓存到内容、宽度或分块变化为止；
+ * 预览区一侧每次重新读取，图片加载、图表渲染引起的高度变化可以立即反映。
+ * 
+ * @returns {Array<{editor: number, preview: number}>} 按文档顺序排列，首尾是文档的开头和结尾
+ */
+function getScrollSyncAnchors() {
+    const length = editor.value.length;
+    const offsets = previewBlocks.map(block => Math.min(Number(block.element.dataset.sourceStart) || 0, length));
+    const offsetsKey = offsets.join(',');
+    
+    if (!editorAnchorCache || editorAnchorCache.value !== editor.value ||
+        editorAnchorCache.width !== editor.clientWidth || editorAnchorCache.offsets !== offsetsKey) {
+        editorAnchorCache = {
+            value: editor.value,
+            width: editor.clientWidth,
+            offsets: offsetsKey,
+            tops: getEditorOffsetTops(offsets)
+        };
+    }
+    
+    const origin = preview.getBoundingClientRect().top - preview.scrollTop;
+    const anchors = previewBlocks.map((block, index) => ({
+        editor: editorAnchorCache.tops[index],
+        preview: block.element.getBoundingClientRect().top - origin
+    }));
+    return [
+        { editor: 0, preview: 0 },
+        ...anchors,
+        { editor: editor.scrollHeight, preview: preview.scrollHeight }
+    ];
+}
+
+/**
+ * 设置滚动位置，并记下该值以忽略随之触发的 scroll 事件
+ * 
+ * 两侧都设置了平滑滚动，这里使用即时滚动，否则动画过程中的 scroll 事件会反过来同步另一侧。
+ * 
+ * @param {HTMLElement} element - 编辑器或预览区
+ * @param {number} top - 目标 scrollTop
+ */
+function setSyncedScrollTop(element, top) {
+    const value = Math.round(Math.max(0, Math.min(top, element.scrollHeight - element.clientHeight)));
+    if (Math.abs(element.scrollTop - value) < 1) return;
+    syncedScrollTops.set(element, value);
+    element.scrollTo({ top: value, behavior: 'instant' });
+}
+
+/**
+ * 按源码位置把 target 滚动到与 source 对应的位置
+ * 
+ * @param {HTMLElement} source - 用户正在滚动的一侧
+ * @param {HTMLElement} target - 跟随的一侧
+ */
+function syncScrollPosition(source, target) {
+    const from = source === editor ? 'editor' : 'preview';
+    const to = source === editor ? 'preview' : 'editor';
+    const y = source.scrollTop;
+    
+    // 到底部时另一侧也到底部，避免最后一屏两侧高度不同而停在中途
+    if (y > 0 && y >= source.scrollHeight - source.clientHeight - 1) {
+        setSyncedScrollTop(target, target.scrollHeight);
+        return;
+    }
+    
+    const anchors = getScrollSyncAnchors();
+    let low = 0;
+    let high = anchors.length - 1;
+    while (low < high - 1) {
+        const middle = (low + high) >> 1;
+        if (anchors[middle][from] <= y) {
+            low = middle;
+        } else {
+            high = middle;
+        }
+    }
+    
+    const a = anchors[low];
+    const b = anchors[high];
+    const span = b[from] - a[from];
+    const ratio = span > 0 ? Math.min(1, Math.max(0, (y - a[from]) / span)) : 0;
+    setSyncedScrollTop(target, a[to] + ratio * (b[to] - a[to]));
+}
+
+/**
+ * 处理一侧的 scroll 事件，每帧最多同步一次
+ * 
+ * @param {HTMLElement} source - 触发事件的一侧
+ */
+function handleSyncScroll(source) {
+    const expected = syncedScrollTops.get(source);
+    syncedScrollTops.delete(source);
+    if (!syncScrollEnabled || (expected !== undefined && Math.abs(source.scrollTop - expected) < 2)) return;
+    
+    cancelAnimationFrame(scrollSyncFrame);
+    scrollSyncFrame = requestAnimationFrame(() => {
+        syncScrollPosition(source, source === editor ? preview : editor);
+    });
+}
+
+editor.addEventListener('scroll', () => handleSyncScroll(editor));
+preview.addEventListener('scroll', () => handleSyncScroll(preview));
+
+// 初始化
+window.addEventListener('load', function() {
+    storageReady.then(() => {
+        loadFromStorage();
+        checkStorageQuota();
+        scheduleUnusedAssetCollection();
+    });
+    
+    // 设置滚动同步按钮初始状态
+    if (syncScrollEnabled) {
+        syncScrollBtn.classList.add('active');
+    }
+});
+
+// 复制Markdown功能
+const copyMdBtn = document.getElementById('copy-md-btn');
+
+if (copyMdBtn) {
+    copyMdBtn.addEventListener('click', function() {
+        const markdownContent = editor.value;
+        
+        // 使用 Clipboard API 复制纯文本
+        navigator.clipboard.writeText(markdownContent).then(() => {
+            showToast('Markdown内容已复制');
+        }).catch(() => {
+            // 如果Clipboard API失败，使用传统方法
+            editor.select();
+            document.execCommand('copy');
+            // 取消选择
+            editor.setSelectionRange(editor.value.length, editor.value.length);
+            showToast('Markdown内容已复制');
+        });
+    });
+}
+
+// 保存进度功能
+const saveProgressBtn = document.getElementById('save-progress-btn');
+
+/**
+ * 收集当前的界面设置（面板宽度、主题、当前工具）
+ * 
+ * @returns {Object} 界面设置
+ */
+function collectInterfaceSettings() {
+    return {
+        leftPanelWidth: leftPanel.style.flexBasis,
+        centerPanelWidth: centerPanel.style.flexBasis,
+        isDarkMode: document.body.classList.contains('dark-mode'),
+        themeColor: localStorage.getItem('themeColor'),
+        activeTool: document.querySelector('.tool-btn.active')?.dataset.tool || 'calculator'
+    };
+}
+
+/**
+ * 应用界面设置并保存到 localStorage
+ * 
+ * @param {Object} settings - collectInterfaceSettings 返回的界面设置
+ */
+function applyInterfaceSettings(settings) {
+    // 恢复面板宽度
+    if (settings.leftPanelWidth) {
+        leftPanel.style.flexBasis = settings.leftPanelWidth;
+    }
+    if (settings.centerPanelWidth) {
+        centerPanel.style.flexBasis = settings.centerPanelWidth;
+    }
+    savePanelWidths();
+    
+    // 恢复主题设置
+    if (settings.isDarkMode) {
+        document.body.classList.add('dark-mode');
+        themeIcon.textContent = '☀️';
+    } else {
+        document.body.classList.remove('dark-mode');
+        themeIcon.textContent = '🌙';
+    }
+    settingsDarkMode.classList.toggle('active', !!settings.isDarkMode);
+    localStorage.setItem('theme', settings.isDarkMode ? 'dark' : 'light');
+    
+    // 恢复主题色
+    if (settings.themeColor) {
+        document.body.classList.remove('theme-lotus', 'theme-sunrise', 'theme-sunset', 'theme-garden');
+        if (settings.themeColor !== 'default') {
+            document.body.classList.add(`theme-${settings.themeColor}`);
+        }
+        themeOptions.forEach(option => option.classList.toggle('active', option.dataset.theme === settings.themeColor));
+        localStorage.setItem('themeColor', settings.themeColor);
+    }
+    
+    // 恢复工具选择
+    if (settings.activeTool) {
+        const toolBtn = document.querySelector(`[data-tool="${settings.activeTool}"]`);
+        if (toolBtn) {
+            toolBtn.click();
+        }
+    }
+}
+
+if (saveProgressBtn) {
+    saveProgressBtn.addEventListener('click', function() {
+        const progress = {
+            timestamp: Date.now(),
+            editorContent: editor.value,
+            ...collectInterfaceSettings(),
+            todos: todos,
+            notes: notes,
+            savedFileCount: parseInt(localStorage.getItem('savedFileCount') || '0')
+        };
+        
+        // 保存到进度槽1
+        storageSetItems({ progress: JSON.stringify(progress) }).then(() => {
+            const date = new Date(progress.timestamp);
+            showToast(`进度已保存 - ${date.toLocaleString()}`);
+            checkStorageQuota();
+        }).catch(e => {
+            console.error('保存进度失败:', e);
+            showAutoSaveStatus('error', describeStorageError(e));
+            showToast(`保存进度失败：${describeStorageError(e)}`);
+        });
+    });
+}
+
+// 恢复进度功能
+const loadProgressBtn = document.getElementById('load-progress-btn');
+
+if (loadProgressBtn) {
+    loadProgressBtn.addEventListener('click', function() {
+        const savedProgress = storageGetItem('progress');
+        
+        if (!savedProgress) {
+            showToast('没有找到保存的进度');
+            return;
+        }
+        
+        if (confirm('确定要恢复保存的进度吗？这将覆盖当前内容。')) {
+            const progress = JSON.parse(savedProgress);
+            
+            // 恢复编辑器内容
+            setEditorValue(progress.editorContent);
+            
+            // 恢复面板宽度、主题和工具选择
+            applyInterfaceSettings(progress);
+            
+            // 恢复待办事项
+            if (progress.todos) {
+                todos = progress.todos;
+                saveTodos();
+                renderTodos();
+            }
+            
+            // 恢复便签
             if (progress.notes) {
                 notes = progress.notes;
                 saveNotes();
                 renderNotes();
             }
-            
-            // 恢复保存计数
-            if (progress.savedFileCount) {
-                savedFileCount = progress.savedFileCount;
-                localStorage.setItem('savedFileCount', savedFileCount);
+            
+            // 恢复保存计数
+            if (progress.savedFileCount) {
+                savedFileCount = progress.savedFileCount;
+                localStorage.setItem('savedFileCount', savedFileCount);
+            }
+            
+            // 更新字数统计
+            updateWordCount();
+            
+            // 更新统计
+            if (typeof updateStats === 'function') {
+                updateStats();
+            }
+            
+            const date = new Date(progress.timestamp);
+            showToast(`进度已恢复 - ${date.toLocaleString()}`);
+        }
+    });
+}
+
+// ========================================
+// 工作区备份与恢复
+// ========================================
+const BACKUP_APP_ID = 'cool-markdown-workspace';
+const BACKUP_SCHEMA_VERSION = 2; // 版本 2 起包含文档引用的图片资源
+const BACKUP_ASSET_DATA_PATTERN = /^data:([^,;]*)[^,]*;base64,/;
+const BACKUP_PANEL_WIDTH_PATTERN = /^\d+(\.\d+)?(px|%)$/;
+
+const exportWorkspaceBtn = document.getElementById('export-workspace-btn');
+const importWorkspaceBtn = document.getElementById('import-workspace-btn');
+const workspaceFileInput = document.getElementById('workspace-file-input');
+const backupImportPanel = document.getElementById('backup-import-panel');
+const backupImportSummary = document.getElementById('backup-import-summary');
+const backupImportInterface = document.getElementById('backup-import-interface');
+const backupImportConfirm = document.getElementById('backup-import-confirm');
+const backupImportClose = document.getElementById('backup-import-close');
+
+// 等待用户确认导入方式的备份数据
+let pendingBackupWorkspace = null;
+
+/**
+ * 生成工作区备份
+ * 
+ * 包含所有文档、文档引用的图片资源、待办事项、便签、已保存文件计数和界面设置。
+ * 
+ * @returns {Promise<Object>} 带格式版本号的备份对象
+ */
+async function buildWorkspaceBackup() {
+    captureActiveDocumentState();
+    return {
+        app: BACKUP_APP_ID,
+        schemaVersion: BACKUP_SCHEMA_VERSION,
+        exportedAt: Date.now(),
+        workspace: {
+            documents: documents,
+            activeDocumentId: activeDocumentId,
+            todos: todos,
+            notes: notes,
+            savedFileCount: savedFileCount,
+            interface: collectInterfaceSettings(),
+            assets: await collectBackupAssets()
+        }
+    };
+}
+
+/**
+ * 读取文档中引用的图片资源，图片数据以 data: URL 写入备份
+ * 
+ * @returns {Promise<Object[]>} [{id, name, data}]
+ */
+async function collectBackupAssets() {
+    const ids = new Set();
+    documents.forEach(doc => collectAssetReferences(doc.content, ids));
+    
+    const assets = [];
+    for (const id of ids) {
+        const record = await storageGetRecord('assets', id);
+        if (record) {
+            assets.push({ id, name: record.name, data: await blobToDataUrl(record.blob) });
+        }
+    }
+    return assets;
+}
+
+/**
+ * 把 base64 编码的 data: URL 转换为 Blob
+ * 
+ * @param {string} dataUrl - data: URL
+ * @returns {Blob}
+ * @throws {Error} 不是 base64 编码的 data: URL 时抛出
+ */
+function dataUrlToBlob(dataUrl) {
+    const match = BACKUP_ASSET_DATA_PATTERN.exec(dataUrl);
+    if (!match) {
+        throw new Error('不是 base64 编码的 data: URL');
+    }
+    const binary = atob(dataUrl.slice(match[0].length));
+    return new Blob([Uint8Array.from(binary, c => c.charCodeAt(0))], { type: match[1] });
+}
+
+/**
+ * 将备份数据升级到当前格式版本
+ * 
+ * 除正式的工作区备份外，也接受旧版"保存进度"生成的进度对象（视为版本 0）。
+ * 
+ * @param {Object} data - 从文件解析出的 JSON
+ * @returns {Object} 当前格式的 workspace 对象
+ * @throws {Error} 文件不是备份或版本过新时抛出
+ */
+function upgradeWorkspaceBackup(data) {
+    if (!data || typeof data !== 'object') {
+        throw new Error('文件内容不是有效的 JSON 对象');
+    }
+    
+    if (data.app === BACKUP_APP_ID) {
+        if (!Number.isInteger(data.schemaVersion) || data.schemaVersion < 1) {
+            throw new Error('备份文件缺少有效的格式版本号');
+        }
+        if (data.schemaVersion > BACKUP_SCHEMA_VERSION) {
+            throw new Error(`备份文件来自更新版本的编辑器（格式版本 ${data.schemaVersion}），请先升级编辑器`);
+        }
+        // 版本 1 → 2：增加图片资源
+        if (data.schemaVersion < 2 && data.workspace && typeof data.workspace === 'object') {
+            return { ...data.workspace, assets: [] };
+        }
+        return data.workspace;
+    }
+    
+    // 版本 0：旧版保存进度对象
+    if (typeof data.editorContent === 'string') {
+        const doc = createDocument('恢复的进度', data.editorContent);
+        return {
+            documents: [doc],
+            activeDocumentId: doc.id,
+            todos: data.todos,
+            notes: data.notes,
+            savedFileCount: data.savedFileCount,
+            interface: data,
+            assets: []
+        };
+    }
+    
+    throw new Error('不是有效的工作区备份文件');
+}
+
+/**
+ * 校验备份中的界面设置，只保留取值有效的字段
+ * 
+ * 主题色和工具只接受页面中存在的选项，无效字段被丢弃并记入 invalidFields，
+ * 避免应用设置时选择器或 classList 抛出异常。
+ * 
+ * @param {Object} raw - 备份中的界面设置
+ * @param {string[]} invalidFields - 收集被丢弃的字段名
+ * @returns {Object|null} 有效的界面设置，没有任何有效字段时为 null
+ */
+function validateInterfaceSettings(raw, invalidFields) {
+    if (!raw || typeof raw !== 'object') return null;
+    
+    const themeColors = [...document.querySelectorAll('.theme-option')].map(option => option.dataset.theme);
+    const tools = [...document.querySelectorAll('.tool-btn')].map(btn => btn.dataset.tool);
+    const validators = {
+        leftPanelWidth: value => typeof value === 'string' && BACKUP_PANEL_WIDTH_PATTERN.test(value),
+        centerPanelWidth: value => typeof value === 'string' && BACKUP_PANEL_WIDTH_PATTERN.test(value),
+        isDarkMode: value => typeof value === 'boolean',
+        themeColor: value => themeColors.includes(value),
+        activeTool: value => tools.includes(value)
+    };
+    
+    const settings = {};
+    Object.entries(validators).forEach(([key, isValid]) => {
+        const value = raw[key];
+        if (value === undefined || value === null || value === '') return;
+        if (isValid(value)) {
+            settings[key] = value;
+        } else {
+            invalidFields.push(key);
+        }
+    });
+    return Object.keys(settings).length > 0 ? settings : null;
+}
+
+/**
+ * 校验并规范化备份中的工作区数据
+ * 
+ * @param {Object} workspace - 升级后的 workspace 对象
+ * @returns {Object} 规范化后的数据（缺省字段已补全，无效的界面设置字段列在 invalidInterfaceFields 中）
+ * @throws {Error} 数据结构无效时抛出，错误信息列出前几个问题
+ */
+function validateWorkspace(workspace) {
+    const errors = [];
+    
+    if (!workspace || typeof workspace !== 'object') {
+        throw new Error('备份文件缺少 workspace 数据');
+    }
+    
+    const rawDocuments = workspace.documents;
+    if (!Array.isArray(rawDocuments) || rawDocuments.length === 0) {
+        errors.push('documents 必须是非空数组');
+    }
+    const documentIds = new Set();
+    const validDocuments = (Array.isArray(rawDocuments) ? rawDocuments : []).map((doc, index) => {
+        if (!doc || typeof doc.content !== 'string') {
+            errors.push(`第 ${index + 1} 个文档缺少文本内容`);
+            return null;
+        }
+        const fallback = createDocument(`文档 ${index + 1}`);
+        // 同一备份中重复的 ID 从第二个起换成新 ID，避免标签页、版本历史和撤销记录互相覆盖
+        const id = typeof doc.id === 'string' && doc.id && !documentIds.has(doc.id) ? doc.id : fallback.id;
+        documentIds.add(id);
+        return {
+            id,
+            title: typeof doc.title === 'string' && doc.title.trim() ? doc.title : fallback.title,
+            content: doc.content,
+            selectionStart: Number.isInteger(doc.selectionStart) ? doc.selectionStart : 0,
+            selectionEnd: Number.isInteger(doc.selectionEnd) ? doc.selectionEnd : 0,
+            scrollTop: Number(doc.scrollTop) || 0,
+            createdAt: Number(doc.createdAt) || fallback.createdAt,
+            lastSaved: Number(doc.lastSaved) || fallback.lastSaved
+        };
+    });
+    
+    const rawTodos = workspace.todos === undefined ? [] : workspace.todos;
+    if (!Array.isArray(rawTodos)) {
+        errors.push('todos 必须是数组');
+    }
+    const validTodos = (Array.isArray(rawTodos) ? rawTodos : []).map((todo, index) => {
+        if (!todo || typeof todo.text !== 'string') {
+            errors.push(`第 ${index + 1} 个待办事项缺少文本`);
+            return null;
+        }
+        return { text: todo.text, completed: !!todo.completed };
+    });
+    
+    const rawNotes = workspace.notes === undefined ? [] : workspace.notes;
+    if (!Array.isArray(rawNotes)) {
+        errors.push('notes 必须是数组');
+    }
+    const validNotes = (Array.isArray(rawNotes) ? rawNotes : []).map((note, index) => {
+        if (!note || typeof note.text !== 'string') {
+            errors.push(`第 ${index + 1} 个便签缺少文本`);
+            return null;
+        }
+        const hasValidId = Number.isFinite(note.id) || (typeof note.id === 'string' && note.id !== '');
+        return {
+            id: hasValidId ? note.id : Date.now() + index,
+            text: note.text,
+            position: note.position && Number.isFinite(note.position.x) && Number.isFinite(note.position.y) ? note.position : undefined,
+            size: note.size && Number.isFinite(note.size.width) && Number.isFinite(note.size.height) ? note.size : undefined
+        };
+    });
+    
+    const rawAssets = workspace.assets === undefined ? [] : workspace.assets;
+    if (!Array.isArray(rawAssets)) {
+        errors.push('assets 必须是数组');
+    }
+    const validAssets = (Array.isArray(rawAssets) ? rawAssets : []).map((asset, index) => {
+        if (!asset || typeof asset.id !== 'string' || !/^[a-z0-9]+$/.test(asset.id) || typeof asset.data !== 'string') {
+            errors.push(`第 ${index + 1} 张图片缺少 ID 或数据`);
+            return null;
+        }
+        try {
+            return {
+                id: asset.id,
+                name: typeof asset.name === 'string' ? asset.name : 'image',
+                blob: dataUrlToBlob(asset.data)
+            };
+        } catch (e) {
+            errors.push(`第 ${index + 1} 张图片的数据无效`);
+            return null;
+        }
+    });
+    
+    if (errors.length > 0) {
+        const more = errors.length > 3 ? ` 等 ${errors.length} 个问题` : '';
+        throw new Error(`备份数据无效：${errors.slice(0, 3).join('；')}${more}`);
+    }
+    
+    const invalidInterfaceFields = [];
+    const validInterface = validateInterfaceSettings(workspace.interface, invalidInterfaceFields);
+    
+    return {
+        documents: validDocuments,
+        activeDocumentId: validDocuments.some(d => d.id === workspace.activeDocumentId) ? workspace.activeDocumentId : validDocuments[0].id,
+        todos: validTodos,
+        notes: validNotes,
+        savedFileCount: parseInt(workspace.savedFileCount) || 0,
+        interface: validInterface,
+        invalidInterfaceFields,
+        assets: validAssets
+    };
+}
+
+/**
+ * 导出工作区备份文件
+ */
+async function exportWorkspaceBackup() {
+    let backup;
+    try {
+        backup = await buildWorkspaceBackup();
+    } catch (e) {
+        console.error('生成工作区备份失败:', e);
+        showToast(`导出失败：${describeStorageError(e)}`, 5000);
+        return;
+    }
+    const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json;charset=utf-8' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'workspace-backup-' + Date.now() + '.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+    
+    showToast(`已导出工作区备份（${documents.length} 个文档、${backup.workspace.assets.length} 张图片）`);
+}
+
+/**
+ * 读取选中的备份文件并打开导入确认面板
+ * 
+ * @param {File} file - 备份文件
+ */
+function readWorkspaceBackupFile(file) {
+    const reader = new FileReader();
+    reader.onload = function(event) {
+        try {
+            const data = JSON.parse(event.target.result);
+            pendingBackupWorkspace = validateWorkspace(upgradeWorkspaceBackup(data));
+        } catch (e) {
+            const message = e instanceof SyntaxError ? '文件不是有效的 JSON' : e.message;
+            showToast(`导入失败：${message}`, 5000);
+            return;
+        }
+        
+        const ws = pendingBackupWorkspace;
+        backupImportSummary.textContent = `${file.name}：${ws.documents.length} 个文档、${ws.todos.length} 个待办事项、${ws.notes.length} 个便签、${ws.assets.length} 张图片`;
+        backupImportInterface.disabled = !ws.interface;
+        backupImportInterface.checked = !!ws.interface;
+        backupImportPanel.classList.add('show');
+        if (ws.invalidInterfaceFields.length > 0) {
+            showToast(`备份中的界面设置无效，已忽略：${ws.invalidInterfaceFields.join('、')}`, 5000);
+        }
+    };
+    reader.onerror = () => showToast('读取备份文件失败');
+    reader.readAsText(file);
+}
+
+/**
+ * 获取导入面板中某类数据选择的导入方式
+ * 
+ * @param {string} option - 'documents'、'todos' 或 'notes'
+ * @returns {string} 'merge' 或 'replace'
+ */
+function getBackupImportMode(option) {
+    const active = backupImportPanel.querySelector(`[data-option="${option}"] .segmented-btn.active`);
+    return active ? active.dataset.value : 'merge';
+}
+
+/**
+ * 合并文档：相同 ID 且内容相同的跳过，内容不同的作为新文档加入
+ * 
+ * @param {Object[]} imported - 备份中的文档
+ */
+function mergeDocuments(imported) {
+    imported.forEach(doc => {
+        const existing = documents.find(d => d.id === doc.id);
+        if (existing && existing.content === doc.content) return;
+        documents.push(existing ? { ...doc, id: generateDocumentId(), title: `${doc.title}（导入）` } : doc);
+    });
+}
+
+/**
+ * 合并待办事项：跳过文本相同的任务
+ * 
+ * @param {Object[]} imported - 备份中的待办事项
+ */
+function mergeTodos(imported) {
+    imported.forEach(todo => {
+        if (!todos.some(t => t.text === todo.text)) {
+            todos.push(todo);
+        }
+    });
+}
+
+/**
+ * 合并便签：相同 ID 且内容相同的跳过，内容不同的使用新 ID 加入
+ * 
+ * @param {Object[]} imported - 备份中的便签
+ */
+function mergeNotes(imported) {
+    imported.forEach((note, index) => {
+        const existing = notes.find(n => n.id == note.id);
+        if (existing && existing.text === note.text) return;
+        notes.push(existing ? { ...note, id: Date.now() + index } : note);
+    });
+}
+
+/**
+ * 写入备份中的图片资源，本机已有的同 ID 资源保持不变
+ * 
+ * @param {Object[]} assets - validateWorkspace 返回的资源 [{id, name, blob}]
+ */
+async function restoreBackupAssets(assets) {
+    for (const asset of assets) {
+        if (await storageGetRecord('assets', asset.id)) continue;
+        await storagePutRecord('assets', {
+            id: asset.id,
+            blob: asset.blob,
+            name: asset.name,
+            type: asset.blob.type,
+            size: asset.blob.size,
+            // 按导入时间计算回收宽限期，合并时没有被引用的图片也不会立刻被删除
+            createdAt: Date.now()
+        });
+    }
+}
+
+/**
+ * 按用户选择的方式应用待导入的备份
+ * 
+ * 先写入图片资源，写入失败时不修改文档、待办事项和便签。
+ */
+async function applyPendingBackup() {
+    const ws = pendingBackupWorkspace;
+    if (!ws) return;
+    
+    backupImportConfirm.disabled = true;
+    try {
+        await restoreBackupAssets(ws.assets);
+    } catch (e) {
+        console.error('导入图片资源失败:', e);
+        showToast(`导入失败：${describeStorageError(e)}`, 5000);
+        return;
+    } finally {
+        backupImportConfirm.disabled = false;
+    }
+    if (pendingBackupWorkspace !== ws) return;
+    
+    captureActiveDocumentState();
+    
+    if (getBackupImportMode('documents') === 'replace') {
+        documents
+            .filter(doc => !ws.documents.some(d => d.id === doc.id))
+            .forEach(doc => deleteDocumentRevisions(doc.id));
+        documents = ws.documents;
+        activeDocumentId = ws.activeDocumentId;
+    } else {
+        mergeDocuments(ws.documents);
+    }
+    
+    if (getBackupImportMode('todos') === 'replace') {
+        todos = ws.todos;
+    } else {
+        mergeTodos(ws.todos);
+    }
+    
+    if (getBackupImportMode('notes') === 'replace') {
+        notes = ws.notes;
+    } else {
+        mergeNotes(ws.notes);
+    }
+    
+    savedFileCount = Math.max(savedFileCount, ws.savedFileCount);
+    localStorage.setItem('savedFileCount', savedFileCount);
+    
+    if (ws.interface && backupImportInterface.checked) {
+        applyInterfaceSettings(ws.interface);
+    }
+    
+    loadDocumentIntoEditor(getActiveDocument());
+    renderDocumentTabs();
+    persistDocuments();
+    saveTodos();
+    saveNotes();
+    renderTodos();
+    renderNotes();
+    updateStats();
+    
+    pendingBackupWorkspace = null;
+    backupImportPanel.classList.remove('show');
+    showToast('工作区备份已导入');
+}
+
+/**
+ * 关闭导入确认面板并放弃待导入的数据
+ */
+function closeBackupImportPanel() {
+    pendingBackupWorkspace = null;
+    backupImportPanel.classList.remove('show');
+}
+
+exportWorkspaceBtn.addEventListener('click', exportWorkspaceBackup);
+
+importWorkspaceBtn.addEventListener('click', function() {
+    workspaceFileInput.click();
+});
+
+workspaceFileInput.addEventListener('change', function(e) {
+    const file = e.target.files[0];
+    if (file) {
+        readWorkspaceBackupFile(file);
+    }
+    // 清空文件输入，允许重复导入同一文件
+    workspaceFileInput.value = '';
+});
+
+// 合并/替换切换
+backupImportPanel.addEventListener('click', function(e) {
+    const btn = e.target.closest('.segmented-btn');
+    if (!btn) return;
+    
+    btn.parentElement.querySelectorAll('.segmented-btn').forEach(b => b.classList.toggle('active', b === btn));
+});
+
+backupImportConfirm.addEventListener('click', applyPendingBackup);
+backupImportClose.addEventListener('click', closeBackupImportPanel);
+
+// ========================================
+// 文本差异比较
+// ========================================
+// 超过该编辑距离时不再逐行比较。回溯记录的大小约为编辑距离的平方，过大时会占用大量内存并卡住界面
+const DIFF_MAX_EDIT_DISTANCE = 1000;
+const DIFF_CONTEXT_LINES = 3; // 差异视图中保留的上下文行数
+
+/**
+ * 使用 Myers 算法计算两组行之间的最短编辑脚本
+ * 
+ * @param {string[]} a - 旧文本的行
+ * @param {string[]} b - 新文本的行
+ * @returns {Array<{type: string, text: string}>|null} 编辑操作序列；差异过大时返回 null
+ */
+function myersDiff(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const max = Math.min(n + m, DIFF_MAX_EDIT_DISTANCE);
+    const offset = max + 1;
+    const v = new Array(2 * max + 3).fill(0);
+    const trace = [];
+    
+    for (let d = 0; d <= max; d++) {
+        // 第 d 步只会读取对角线 -d-1 … d+1，只保存这一段
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+        for (let k = -d; k <= d; k += 2) {
+            let x;
+            if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+                x = v[offset + k + 1];
+            } else {
+                x = v[offset + k - 1] + 1;
+            }
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            
+            if (x >= n && y >= m) {
+                // 回溯得到编辑路径
+                const ops = [];
+                let cx = n;
+                let cy = m;
+                for (let step = d; step > 0; step--) {
+                    const tv = trace[step];
+                    const base = step + 1; // 对角线 k 在 tv 中的下标为 base + k
+                    const ck = cx - cy;
+                    const prevK = (ck === -step || (ck !== step && tv[base + ck - 1] < tv[base + ck + 1])) ? ck + 1 : ck - 1;
+                    const prevX = tv[base + prevK];
+                    const prevY = prevX - prevK;
+                    while (cx > prevX && cy > prevY) {
+                        ops.push({ type: 'equal', text: a[cx - 1] });
+                        cx--;
+                        cy--;
+                    }
+                    if (cx === prevX) {
+                        ops.push({ type: 'insert', text: b[cy - 1] });
+                    } else {
+                        ops.push({ type: 'delete', text: a[cx - 1] });
+                    }
+                    cx = prevX;
+                    cy = prevY;
+                }
+                while (cx > 0 && cy > 0) {
+                    ops.push({ type: 'equal', text: a[cx - 1] });
+                    cx--;
+                    cy--;
+                }
+                return ops.reverse();
+            }
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * 逐行比较两段文本
+ * 
+ * 先去掉公共的开头和结尾，再对中间部分运行 Myers 算法；
+ * 差异过大时退化为"全部删除 + 全部插入"。
+ * 
+ * @param {string} oldText - 旧文本
+ * @param {string} newText - 新文本
+ * @returns {Array<{type: string, text: string, oldNumber: number|null, newNumber: number|null}>}
+ */
+function diffLines(oldText, newText) {
+    const a = oldText.split('\n');
+    const b = newText.split('\n');
+    
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+        start++;
+    }
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+    
+    const middleA = a.slice(start, endA);
+    const middleB = b.slice(start, endB);
+    const middle = myersDiff(middleA, middleB) || [
+        ...middleA.map(text => ({ type: 'delete', text })),
+        ...middleB.map(text => ({ type: 'insert', text }))
+    ];
+    
+    const ops = [
+        ...a.slice(0, start).map(text => ({ type: 'equal', text })),
+        ...middle,
+        ...a.slice(endA).map(text => ({ type: 'equal', text }))
+    ];
+    
+    // 标注行号
+    let oldNumber = 0;
+    let newNumber = 0;
+    return ops.map(op => ({
+        ...op,
+        oldNumber: op.type !== 'insert' ? ++oldNumber : null,
+        newNumber: op.type !== 'delete' ? ++newNumber : null
+    }));
+}
+
+/**
+ * 统计差异中新增和删除的行数
+ * 
+ * @param {Array} ops - diffLines 的结果
+ * @returns {{added: number, removed: number}}
+ */
+function summarizeDiff(ops) {
+    return {
+        added: ops.filter(op => op.type === 'insert').length,
+        removed: ops.filter(op => op.type === 'delete').length
+    };
+}
+
+/**
+ * 将差异渲染为表格
+ * 
+ * 未变化的长段落会折叠，只保留变化处前后的几行上下文。
+ * 
+ * @param {HTMLElement} container - 渲染目标容器
+ * @param {string} oldText - 旧文本
+ * @param {string} newText - 新文本
+ * @param {string} mode - 'inline'（行内）或 'split'（并排）
+ * @returns {{added: number, removed: number}} 差异统计
+ */
+function renderDiffView(container, oldText, newText, mode = 'inline') {
+    const ops = diffLines(oldText, newText);
+    const summary = summarizeDiff(ops);
+    
+    container.innerHTML = '';
+    
+    if (summary.added === 0 && summary.removed === 0) {
+        const emptyState = document.createElement('div');
+        emptyState.className = 'empty-state';
+        emptyState.innerHTML = `
+            <div class="empty-state-icon" aria-hidden="true">✓</div>
+            <div class="empty-state-text">内容完全相同</div>
+        `;
+        container.appendChild(emptyState);
+        return summary;
+    }
+    
+    // 标记需要显示的行：变化行及其上下文
+    const visible = new Array(ops.length).fill(false);
+    ops.forEach((op, index) => {
+        if (op.type === 'equal') return;
+        const from = Math.max(0, index - DIFF_CONTEXT_LINES);
+        const to = Math.min(ops.length - 1, index + DIFF_CONTEXT_LINES);
+        for (let i = from; i <= to; i++) {
+            visible[i] = true;
+        }
+    });
+    
+    const table = document.createElement('table');
+    table.className = `diff-table diff-${mode}`;
+    const tbody = document.createElement('tbody');
+    
+    const createCell = (className, text) => {
+        const cell = document.createElement('td');
+        cell.className = className;
+        cell.textContent = text;
+        return cell;
+    };
+    
+    const appendFold = (count) => {
+        const row = document.createElement('tr');
+        row.className = 'diff-fold';
+        const cell = createCell('diff-fold-cell', `⋯ ${count} 行未变化 ⋯`);
+        cell.colSpan = mode === 'split' ? 4 : 3;
+        row.appendChild(cell);
+        tbody.appendChild(row);
+    };
+    
+    const appendInlineRow = (op) => {
+        const row = document.createElement('tr');
+        row.className = `diff-${op.type}`;
+        const marker = op.type === 'insert' ? '+' : op.type === 'delete' ? '-' : ' ';
+        row.appendChild(createCell('diff-line-number', op.oldNumber ?? ''));
+        row.appendChild(createCell('diff-line-number', op.newNumber ?? ''));
+        row.appendChild(createCell('diff-text', `${marker} ${op.text}`));
+        tbody.appendChild(row);
+    };
+    
+    const appendSplitRow = (left, right) => {
+        const row = document.createElement('tr');
+        row.appendChild(createCell('diff-line-number', left ? left.oldNumber : ''));
+        row.appendChild(createCell(`diff-text ${left ? 'diff-' + left.type : 'diff-empty'}`, left ? left.text : ''));
+        row.appendChild(createCell('diff-line-number', right ? right.newNumber : ''));
+        row.appendChild(createCell(`diff-text ${right ? 'diff-' + right.type : 'diff-empty'}`, right ? right.text : ''));
+        tbody.appendChild(row);
+    };
+    
+    let index = 0;
+    while (index < ops.length) {
+        if (!visible[index]) {
+            let count = 0;
+            while (index < ops.length && !visible[index]) {
+                count++;
+                index++;
+            }
+            appendFold(count);
+            continue;
+        }
+        
+        const op = ops[index];
+        if (mode !== 'split') {
+            appendInlineRow(op);
+            index++;
+        } else if (op.type === 'equal') {
+            appendSplitRow(op, op);
+            index++;
+        } else {
+            // 并排模式：把相邻的删除块和插入块逐行配对
+            const deleted = [];
+            const inserted = [];
+            while (index < ops.length && ops[index].type === 'delete') deleted.push(ops[index++]);
+            while (index < ops.length && ops[index].type === 'insert') inserted.push(ops[index++]);
+            const rows = Math.max(deleted.length, inserted.length);
+            for (let i = 0; i < rows; i++) {
+                appendSplitRow(deleted[i], inserted[i]);
+            }
+        }
+    }
+    
+    table.appendChild(tbody);
+    container.appendChild(table);
+    return summary;
+}
+
+// ========================================
+// 版本历史
+// ========================================
+const REVISION_MIN_INTERVAL = 60 * 1000; // 同一文档两次自动版本之间的最小间隔
+const REVISION_MAX_COUNT = 50; // 每个文档最多保留的版本数
+const REVISION_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 版本最长保留 30 天
+
+const historyBtn = document.getElementById('history-btn');
+const historyPanel = document.getElementById('history-panel');
+const historyClose = document.getElementById('history-close');
+const historyTitle = document.getElementById('history-title');
+const historyList = document.getElementById('history-list');
+const historyDiff = document.getElementById('history-diff');
+const historySummary = document.getElementById('history-summary');
+const historyRestoreBtn = document.getElementById('history-restore-btn');
+const historyModeButtons = document.querySelectorAll('.history-mode-btn');
+
+// 每个文档最新版本的缓存，用于判断内容是否变化和节流
+const latestRevisionByDocument = new Map();
+// 串行执行版本写入，避免并发保存时重复创建版本
+let revisionQueue = Promise.resolve();
+let historyRevisions = [];
+let selectedRevisionId = null;
+let historyDiffMode = localStorage.getItem('historyDiffMode') || 'inline';
+
+const REVISION_REASON_LABELS = {
+    auto: '自动保存',
+    'before-restore': '恢复前备份'
+};
+
+/**
+ * 获取文档的所有版本，按时间从新到旧排序
+ * 
+ * @param {string} documentId - 文档 ID
+ * @returns {Promise<Object[]>}
+ */
+function getDocumentRevisions(documentId) {
+    return storageGetRecordsByIndex('revisions', 'documentId', documentId)
+        .then(revisions => revisions.sort((a, b) => b.createdAt - a.createdAt));
+}
+
+/**
+ * 为文档创建一个版本
+ * 
+ * 内容与最新版本相同时跳过；自动版本受最小间隔限制，强制版本不受限制。
+ * 
+ * @param {Object} doc - 文档对象
+ * @param {string} reason - 版本原因：'auto' 或 'before-restore'
+ * @param {boolean} force - 是否忽略最小间隔
+ * @returns {Promise<Object|null>} 新版本，未创建时返回 null
+ */
+async function createRevision(doc, reason = 'auto', force = false) {
+    if (!latestRevisionByDocument.has(doc.id)) {
+        const revisions = await getDocumentRevisions(doc.id);
+        latestRevisionByDocument.set(doc.id, revisions[0] || null);
+    }
+    
+    const latest = latestRevisionByDocument.get(doc.id);
+    if (latest ? latest.content === doc.content : !doc.content.trim()) return null;
+    if (!force && latest && Date.now() - latest.createdAt < REVISION_MIN_INTERVAL) return null;
+    
+    const revision = {
+        documentId: doc.id,
+        title: doc.title,
+        content: doc.content,
+        createdAt: Date.now(),
+        reason
+    };
+    revision.id = await storageAddRecord('revisions', revision);
+    latestRevisionByDocument.set(doc.id, revision);
+    
+    await pruneRevisions(doc.id);
+    return revision;
+}
+
+/**
+ * 将版本创建加入串行队列
+ * 
+ * @param {Object} doc - 文档对象
+ * @param {string} reason - 版本原因
+ * @param {boolean} force - 是否忽略最小间隔
+ * @returns {Promise<Object|null>}
+ */
+function queueRevision(doc, reason = 'auto', force = false) {
+    const task = revisionQueue.then(() => createRevision(doc, reason, force));
+    revisionQueue = task.catch(e => console.warn('创建版本失败:', e));
+    return task;
+}
+
+/**
+ * 自动保存完成后为有变化的文档创建版本
+ */
+function captureAutoRevisions() {
+    documents.forEach(doc => {
+        queueRevision(doc).catch(() => {});
+    });
+}
+
+/**
+ * 清理超出数量或时间限制的旧版本（始终保留最新的一个）
+ * 
+ * @param {string} documentId - 文档 ID
+ * @returns {Promise<void>}
+ */
+async function pruneRevisions(documentId) {
+    const revisions = await getDocumentRevisions(documentId);
+    const expireBefore = Date.now() - REVISION_MAX_AGE;
+    const expiredIds = revisions
+        .filter((revision, index) => index > 0 && (index >= REVISION_MAX_COUNT || revision.createdAt < expireBefore))
+        .map(revision => revision.id);
+    await storageDeleteRecords('revisions', expiredIds);
+}
+
+/**
+ * 删除文档的所有版本
+ * 
+ * @param {string} documentId - 文档 ID
+ */
+function deleteDocumentRevisions(documentId) {
+    latestRevisionByDocument.delete(documentId);
+    getDocumentRevisions(documentId)
+        .then(revisions => storageDeleteRecords('revisions', revisions.map(r => r.id)))
+        .catch(e => console.warn('删除版本历史失败:', e));
+}
+
+/**
+ * 打开版本历史面板
+ */
+async function openHistoryPanel() {
+    const doc = getActiveDocument();
+    if (!doc) return;
+    
+    captureActiveDocumentState();
+    historyTitle.textContent = `版本历史 - ${doc.title}`;
+    historyPanel.classList.add('show');
+    
+    try {
+        historyRevisions = await getDocumentRevisions(doc.id);
+    } catch (e) {
+        console.error('读取版本历史失败:', e);
+        historyRevisions = [];
+    }
+    selectedRevisionId = historyRevisions.length > 0 ? historyRevisions[0].id : null;
+    renderHistoryList();
+    renderHistoryDiff();
+}
+
+/**
+ * 关闭版本历史面板
+ */
+function closeHistoryPanel() {
+    historyPanel.classList.remove('show');
+}
+
+/**
+ * 渲染版本时间线
+ */
+function renderHistoryList() {
+    const fragment = document.createDocumentFragment();
+    
+    if (historyRevisions.length === 0) {
+        const emptyState = document.createElement('div');
+        emptyState.className = 'empty-state';
+        emptyState.innerHTML = `
+            <div class="empty-state-icon" aria-hidden="true">🕘</div>
+            <div class="empty-state-text">暂无历史版本</div>
+            <div class="empty-state-hint">编辑内容后会自动保存版本</div>
+        `;
+        fragment.appendChild(emptyState);
+    }
+    
+    historyRevisions.forEach(revision => {
+        const item = document.createElement('button');
+        item.className = 'history-item';
+        item.classList.toggle('active', revision.id === selectedRevisionId);
+        item.dataset.id = revision.id;
+        
+        const time = document.createElement('span');
+        time.className = 'history-item-time';
+        time.textContent = new Date(revision.createdAt).toLocaleString();
+        
+        const meta = document.createElement('span');
+        meta.className = 'history-item-meta';
+        meta.textContent = `${REVISION_REASON_LABELS[revision.reason] || revision.reason} · ${revision.content.length} 字`;
+        
+        item.appendChild(time);
+        item.appendChild(meta);
+        fragment.appendChild(item);
+    });
+    
+    historyList.innerHTML = '';
+    historyList.appendChild(fragment);
+}
+
+/**
+ * 渲染选中版本与当前内容之间的差异
+ */
+function renderHistoryDiff() {
+    const revision = historyRevisions.find(r => r.id === selectedRevisionId);
+    historyModeButtons.forEach(btn => btn.classList.toggle('active', btn.dataset.mode === historyDiffMode));
+    historyRestoreBtn.disabled = !revision;
+    
+    if (!revision) {
+        historyDiff.innerHTML = '';
+        historySummary.textContent = '';
+        return;
+    }
+    
+    const { added, removed } = renderDiffView(historyDiff, revision.content, editor.value, historyDiffMode);
+    historySummary.textContent = `与当前内容相比：+${added} 行 / -${removed} 行`;
+}
+
+/**
+ * 恢复选中的版本
+ * 
+ * 恢复前会把当前内容保存为一个新版本，因此恢复操作本身也可以撤回。
+ */
+async function restoreSelectedRevision() {
+    const revision = historyRevisions.find(r => r.id === selectedRevisionId);
+    const doc = getActiveDocument();
+    if (!revision || !doc) return;
+    
+    if (!confirm(`确定要恢复到 ${new Date(revision.createdAt).toLocaleString()} 的版本吗？当前内容会先保存为一个新版本。`)) {
+        return;
+    }
+    
+    captureActiveDocumentState();
+    try {
+        await queueRevision(doc, 'before-restore', true);
+    } catch (e) {
+        showToast(`无法备份当前内容，已取消恢复：${describeStorageError(e)}`);
+        return;
+    }
+    
+    setEditorValue(revision.content);
+    saveToStorage();
+    
+    showToast(`已恢复到 ${new Date(revision.createdAt).toLocaleString()} 的版本`);
+    openHistoryPanel();
+}
+
+if (historyBtn) {
+    historyBtn.addEventListener('click', openHistoryPanel);
+}
+
+historyClose.addEventListener('click', closeHistoryPanel);
+
+historyList.addEventListener('click', function(e) {
+    const item = e.target.closest('.history-item');
+    if (!item) return;
+    
+    selectedRevisionId = Number(item.dataset.id);
+    renderHistoryList();
+    renderHistoryDiff();
+});
+
+historyModeButtons.forEach(btn => {
+    btn.addEventListener('click', function() {
+        historyDiffMode = this.dataset.mode;
+        localStorage.setItem('historyDiffMode', historyDiffMode);
+        renderHistoryDiff();
+    });
+});
+
+historyRestoreBtn.addEventListener('click', restoreSelectedRevision);
+
+// 深色模式切换功能
+const themeToggle = document.getElementById('theme-toggle');
+const themeIcon = document.querySelector('.theme-icon');
+
+// 设置按钮
+const settingsToggle = document.getElementById('settings-toggle');
+
+// 从localStorage加载主题设置
+const savedTheme = localStorage.getItem('theme');
+
+if (savedTheme === 'dark') {
+    document.body.classList.add('dark-mode');
+    themeIcon.textContent = '☀️';
+}
+
+themeToggle.addEventListener('click', function() {
+    document.body.classList.toggle('dark-mode');
+    const isDarkMode = document.body.classList.contains('dark-mode');
+    
+    // 更新图标
+    themeIcon.textContent = isDarkMode ? '☀️' : '🌙';
+    
+    // 保存主题设置
+    localStorage.setItem('theme', isDarkMode ? 'dark' : 'light');
+    
+    // 图表按新主题重新渲染
+    rerenderDiagrams();
+    
+    // 重新调整画布大小（因为背景色变化）
+    if (canvas) {
+        setTimeout(resizeCanvas, 100);
+    }
+});
+
+// 监听编辑器输入，实时更新预览
+// 节流后交给渲染 Worker，只重新渲染有变化的块（见"预览区分块渲染"）
+const throttledUpdatePreview = throttle(function() {
+    // 内容未变化时不重新解析
+    if (editor.value === lastMarkdownContent) {
+        return;
+    }
+    
+    // 使用 requestAnimationFrame 优化渲染时机
+    requestAnimationFrame(() => {
+        renderPreview(editor.value);
+        
+        // 更新行列号
+        updateLineColumnInfo();
+    });
+}, 200);
+
+editor.addEventListener('input', throttledUpdatePreview);
+
+// 监听编辑器选择变化，更新行列号
+editor.addEventListener('keyup', function() {
+    updateLineColumnInfo();
+});
+
+editor.addEventListener('click', function() {
+    updateLineColumnInfo();
+});
+
+/**
+ * 更新编辑器状态栏的行列号信息
+ * 
+ * 根据当前光标位置计算行号和列号，并更新到状态栏显示。
+ * 行号从1开始计数，列号从0开始计数。
+ */
+function updateLineColumnInfo() {
+    const cursorPos = editor.selectionStart;
+    const textBeforeCursor = editor.value.substring(0, cursorPos);
+    const lines = textBeforeCursor.split('\n');
+    const line = lines.length;
+    const col = lines[lines.length - 1].length + 1;
+    
+    const lineColInfo = document.getElementById('line-col-info');
+    if (lineColInfo) {
+        lineColInfo.textContent = `行 ${line}, 列 ${col}`;
+    }
+}
+
+// ========================================
+// 撤销/重做
+// ========================================
+// 浏览器原生撤销栈会被直接赋值 editor.value 清空，因此由编辑器自行记录所有修改。
+// 每个事务只保存发生变化的区间，而不是整篇文本的快照。
+const UNDO_GROUP_INTERVAL = 1000; // 连续输入合并为一个事务的最大间隔（毫秒）
+const UNDO_MAX_STEPS = 300;
+
+const undoBtn = document.getElementById('undo-btn');
+const redoBtn = document.getElementById('redo-btn');
+
+// 每个文档独立的撤销历史: documentId -> { undoStack, redoStack, value }
+const undoHistories = new Map();
+let activeUndoHistory = null;
+// 最近一次输入前的选区，用于记录键入事务的 selectionBefore
+let selectionBeforeInput = null;
+
+/**
+ * 切换到指定文档的撤销历史
+ * 
+ * 如果记录的文本与文档内容不一致（例如被备份导入替换），历史已失效，将被清空。
+ * 
+ * @param {string} documentId - 文档 ID
+ * @param {string} content - 文档当前内容
+ */
+function attachUndoHistory(documentId, content) {
+    let history = undoHistories.get(documentId);
+    if (!history || history.value !== content) {
+        history = { undoStack: [], redoStack: [], value: content };
+        undoHistories.set(documentId, history);
+    }
+    activeUndoHistory = history;
+    selectionBeforeInput = null;
+    updateUndoButtons();
+}
+
+/**
+ * 计算两段文本之间的单个变化区间
+ * 
+ * @param {string} oldValue - 修改前的文本
+ * @param {string} newValue - 修改后的文本
+ * @param {number} [prefixLimit] - 公共前缀长度上限，用于在重复字符处确定键入位置
+ * @returns {Object|null} { start, removed, inserted }，文本相同时返回 null
+ */
+function computeTextChange(oldValue, newValue, prefixLimit = Infinity) {
+    if (oldValue === newValue) return null;
+    
+    const minLength = Math.min(oldValue.length, newValue.length);
+    const maxPrefix = Math.min(minLength, prefixLimit);
+    let prefix = 0;
+    while (prefix < maxPrefix && oldValue[prefix] === newValue[prefix]) {
+        prefix++;
+    }
+    
+    let suffix = 0;
+    while (suffix < minLength - prefix &&
+           oldValue[oldValue.length - 1 - suffix] === newValue[newValue.length - 1 - suffix]) {
+        suffix++;
+    }
+    
+    return {
+        start: prefix,
+        removed: oldValue.slice(prefix, oldValue.length - suffix),
+        inserted: newValue.slice(prefix, newValue.length - suffix)
+    };
+}
+
+/**
+ * 尝试把新的键入事务合并到上一个事务中
+ * 
+ * 只有同类输入、时间间隔较短且位置连续时才合并；换行和新单词总是开始新的事务。
+ * 
+ * @param {Object} last - 上一个事务
+ * @param {Object} entry - 新事务
+ * @returns {boolean} 是否已合并
+ */
+function mergeUndoEntry(last, entry) {
+    if (!last || last.type !== entry.type || entry.type === 'edit') return false;
+    if (entry.time - last.time > UNDO_GROUP_INTERVAL) return false;
+    if (entry.inserted.includes('\n')) return false;
+    // 在单词边界处断开：空白之后开始键入新单词时另起一个事务
+    if (entry.type === 'insert' && /\s$/.test(last.inserted) && /^\S/.test(entry.inserted)) return false;
+    
+    if (entry.type === 'insert' && entry.removed === '' &&
+        entry.start === last.start + last.inserted.length) {
+        last.inserted += entry.inserted;
+    } else if (entry.type === 'delete-backward' && entry.inserted === '' &&
+               entry.start + entry.removed.length === last.start) {
+        last.start = entry.start;
+        last.removed = entry.removed + last.removed;
+    } else if (entry.type === 'delete-forward' && entry.inserted === '' &&
+               entry.start === last.start) {
+        last.removed += entry.removed;
+    } else {
+        return false;
+    }
+    
+    last.selectionAfter = entry.selectionAfter;
+    last.time = entry.time;
+    return true;
+}
+
+/**
+ * 记录一次修改事务
+ * 
+ * @param {Object} change - computeTextChange 返回的变化区间
+ * @param {number[]} selectionBefore - 修改前的选区 [start, end]
+ * @param {number[]} selectionAfter - 修改后的选区 [start, end]
+ * @param {string} type - 'insert' | 'delete-backward' | 'delete-forward' | 'edit'
+ */
+function recordUndoEntry(change, selectionBefore, selectionAfter, type) {
+    const history = activeUndoHistory;
+    // 文档读入之前还没有撤销历史，这时的修改不记录
+    if (!history) return;
+    const entry = { ...change, selectionBefore, selectionAfter, type, time: Date.now() };
+    
+    if (!mergeUndoEntry(history.undoStack[history.undoStack.length - 1], entry)) {
+        history.undoStack.push(entry);
+        if (history.undoStack.length > UNDO_MAX_STEPS) {
+            history.undoStack.shift();
+        }
+    }
+    history.redoStack = [];
+    updateUndoButtons();
+}
+
+/**
+ * 以可撤销的方式替换编辑器中的一段文本
+ * 
+ * 所有程序化修改（工具栏、快捷键、替换、恢复等）都应通过此函数或 setEditorValue，
+ * 不要直接赋值 editor.value。
+ * 
+ * @param {number} start - 替换起始位置
+ * @param {number} end - 替换结束位置
+ * @param {string} text - 新文本
+ * @param {number} [selectionStart] - 修改后的选区起点，默认为新文本末尾
+ * @param {number} [selectionEnd] - 修改后的选区终点，默认与起点相同
+ */
+function editorReplaceRange(start, end, text, selectionStart = start + text.length, selectionEnd = selectionStart) {
+    const oldValue = editor.value;
+    const change = { start, removed: oldValue.slice(start, end), inserted: text };
+    if (change.removed === change.inserted) return;
+    
+    const selectionBefore = [editor.selectionStart, editor.selectionEnd];
+    editor.value = oldValue.slice(0, start) + text + oldValue.slice(end);
+    editor.setSelectionRange(selectionStart, selectionEnd);
+    if (activeUndoHistory) {
+        activeUndoHistory.value = editor.value;
+    }
+    recordUndoEntry(change, selectionBefore, [selectionStart, selectionEnd], 'edit');
+    
+    editor.dispatchEvent(new Event('input'));
+}
+
+/**
+ * 以可撤销的方式替换编辑器的全部内容
+ * 
+ * 只记录实际变化的区间，光标默认放在变化区间的末尾。
+ * 
+ * @param {string} value - 新内容
+ */
+function setEditorValue(value) {
+    const change = computeTextChange(editor.value, value);
+    if (!change) return;
+    
+    const caret = change.start + change.inserted.length;
+    editorReplaceRange(change.start, change.start + change.removed.length, change.inserted, caret);
+}
+
+/**
+ * 应用撤销或重做
+ * 
+ * @param {boolean} isRedo - true 为重做，false 为撤销
+ */
+function applyUndoStep(isRedo) {
+    const history = activeUndoHistory;
+    // 文档读入之前还没有撤销历史
+    if (!history) return;
+    const from = isRedo ? history.redoStack : history.undoStack;
+    const to = isRedo ? history.undoStack : history.redoStack;
+    const entry = from.pop();
+    if (!entry) return;
+    
+    const value = editor.value;
+    const [oldText, newText] = isRedo ? [entry.removed, entry.inserted] : [entry.inserted, entry.removed];
+    editor.value = value.slice(0, entry.start) + newText + value.slice(entry.start + oldText.length);
+    
+    const [selStart, selEnd] = isRedo ? entry.selectionAfter : entry.selectionBefore;
+    editor.focus();
+    editor.setSelectionRange(selStart, selEnd);
+    
+    // 撤销后的新键入不应再合并到该事务中
+    entry.time = 0;
+    to.push(entry);
+    history.value = editor.value;
+    updateUndoButtons();
+    
+    editor.dispatchEvent(new Event('input'));
+}
+
+function undo() {
+    applyUndoStep(false);
+}
+
+function redo() {
+    applyUndoStep(true);
+}
+
+/**
+ * 更新撤销/重做按钮的可用状态
+ */
+function updateUndoButtons() {
+    if (!activeUndoHistory) return;
+    undoBtn.disabled = activeUndoHistory.undoStack.length === 0;
+    redoBtn.disabled = activeUndoHistory.redoStack.length === 0;
+}
+
+/**
+ * 根据 inputType 判断键入事务的类型
+ * 
+ * @param {string} inputType - InputEvent.inputType
+ * @returns {string} 事务类型
+ */
+function getUndoEntryType(inputType) {
+    if (inputType === 'insertText' || inputType === 'insertCompositionText') return 'insert';
+    if (inputType === 'deleteContentBackward') return 'delete-backward';
+    if (inputType === 'deleteContentForward') return 'delete-forward';
+    return 'edit';
+}
+
+// 记录输入前的选区
+editor.addEventListener('keydown', function() {
+    selectionBeforeInput = [editor.selectionStart, editor.selectionEnd];
+});
+
+editor.addEventListener('beforeinput', function(e) {
+    // 浏览器菜单中的撤销/重做也交给编辑器自己的历史处理
+    if (e.inputType === 'historyUndo' || e.inputType === 'historyRedo') {
+        e.preventDefault();
+        applyUndoStep(e.inputType === 'historyRedo');
+        return;
+    }
+    selectionBeforeInput = [editor.selectionStart, editor.selectionEnd];
+});
+
+// 记录键入产生的修改；程序化修改已提前同步 history.value，这里不会重复记录
+editor.addEventListener('input', function(e) {
+    const history = activeUndoHistory;
+    if (!history || editor.value === history.value) return;
+    
+    const selectionBefore = selectionBeforeInput || [editor.selectionStart, editor.selectionStart];
+    const prefixLimit = Math.min(selectionBefore[0], editor.selectionStart);
+    const change = computeTextChange(history.value, editor.value, prefixLimit);
+    history.value = editor.value;
+    selectionBeforeInput = null;
+    
+    recordUndoEntry(change, selectionBefore, [editor.selectionStart, editor.selectionEnd], getUndoEntryType(e.inputType));
+});
+
+undoBtn.addEventListener('click', undo);
+redoBtn.addEventListener('click', redo);
+
+// ========================================
+// 跨标签页同步
+// ========================================
+// 同一浏览器的多个标签页共用一份存储。每次保存后通过 BroadcastChannel
+// （不支持时用 localStorage 的 storage 事件）通知其他标签页重新读取数据。
+// 每个文档带有修改版本号 version 和修改者 editedBy，syncBase 记录本标签页
+// 最后一次与存储同步时的状态，用来区分"只有对方修改"和"双方都修改"。
+const SYNC_CHANNEL_NAME = 'cool-markdown-sync';
+const SYNC_STORAGE_KEY = '__syncMessage';
+const SYNC_TAB_ID = generateDocumentId();
+
+const syncChannel = 'BroadcastChannel' in window ? new BroadcastChannel(SYNC_CHANNEL_NAME) : null;
+
+const syncConflictPanel = document.getElementById('sync-conflict-panel');
+const syncConflictTitle = document.getElementById('sync-conflict-title');
+const syncConflictDiff = document.getElementById('sync-conflict-diff');
+const syncConflictSummary = document.getElementById('sync-conflict-summary');
+const syncKeepLocalBtn = document.getElementById('sync-keep-local-btn');
+const syncUseRemoteBtn = document.getElementById('sync-use-remote-btn');
+const syncKeepBothBtn = document.getElementById('sync-keep-both-btn');
+
+// 最后一次同步时的文档状态: documentId -> { version, editedBy, title, content }
+const syncBase = new Map();
+// 等待写入的文档快照，写入成功后成为新的 syncBase
+let pendingSyncSnapshot = null;
+// 本标签页删除的文档，忽略其他标签页尚未得知删除时写回的旧数据
+const deletedDocumentIds = new Set();
+// 等待用户处理的冲突: { documentId, remote }
+let syncConflicts = [];
+let activeSyncConflict = null;
+
+/**
+ * 生成文档的同步快照
+ * 
+ * @param {Object} doc - 文档对象
+ * @returns {Object} { version, editedBy, title, content }
+ */
+function createSyncSnapshot(doc) {
+    return {
+        id: doc.id,
+        version: doc.version || 0,
+        editedBy: doc.editedBy || null,
+        title: doc.title,
+        content: doc.content
+    };
+}
+
+/**
+ * 为自上次同步以来有修改的文档递增版本号
+ * 
+ * 同一轮未保存的修改只递增一次。
+ */
+function stampDocumentChanges() {
+    documents.forEach(doc => {
+        const base = syncBase.get(doc.id);
+        if (!base) return;
+        const changed = doc.content !== base.content || doc.title !== base.title;
+        if (changed && (doc.version || 0) === base.version) {
+            doc.version = base.version + 1;
+            doc.editedBy = SYNC_TAB_ID;
+        }
+    });
+}
+
+/**
+ * 写入成功后更新同步基准
+ * 
+ * @param {Object[]|null} snapshot - 写入时的文档快照
+ */
+function markDocumentsSynced(snapshot) {
+    if (!snapshot) return;
+    snapshot.forEach(item => syncBase.set(item.id, item));
+}
+
+/**
+ * 通知其他标签页
+ * 
+ * @param {Object} message - 消息内容，type 为 'saved'、'deleted' 或 'cleared'
+ */
+function broadcastSync(message) {
+    const payload = { ...message, tabId: SYNC_TAB_ID };
+    if (syncChannel) {
+        syncChannel.postMessage(payload);
+        return;
+    }
+    try {
+        // storage 事件只在值变化时触发，因此附加时间戳
+        localStorage.setItem(SYNC_STORAGE_KEY, JSON.stringify({ ...payload, sentAt: Date.now() }));
+    } catch (e) {
+        console.error('同步消息发送失败:', e);
+    }
+}
+
+/**
+ * 把外部修改应用到编辑器，尽量保持光标和滚动位置
+ * 
+ * 修改会记入撤销历史，可以用 Ctrl+Z 撤回。
+ * 
+ * @param {string} value - 新内容
+ */
+function applyExternalContent(value) {
+    const change = computeTextChange(editor.value, value);
+    if (!change) return;
+    
+    const changeEnd = change.start + change.removed.length;
+    const delta = change.inserted.length - change.removed.length;
+    const adjust = pos => {
+        if (pos <= change.start) return pos;
+        if (pos >= changeEnd) return pos + delta;
+        return change.start + change.inserted.length;
+    };
+    const scrollTop = editor.scrollTop;
+    editorReplaceRange(change.start, changeEnd, change.inserted, adjust(editor.selectionStart), adjust(editor.selectionEnd));
+    editor.scrollTop = scrollTop;
+}
+
+/**
+ * 用其他标签页保存的版本更新本地文档
+ * 
+ * @param {Object} local - 本地文档
+ * @param {Object} remote - 存储中的文档
+ */
+function adoptRemoteDocument(local, remote) {
+    const isActive = local.id === activeDocumentId;
+    Object.assign(local, remote, isActive ? {
+        // 当前文档保留本标签页的光标和滚动位置
+        selectionStart: local.selectionStart,
+        selectionEnd: local.selectionEnd,
+        scrollTop: local.scrollTop
+    } : {});
+    syncBase.set(local.id, createSyncSnapshot(remote));
+    
+    if (isActive) {
+        applyExternalContent(remote.content);
+    }
+}
+
+/**
+ * 合并其他标签页写入的文档库
+ * 
+ * - 本地没有修改：直接采用对方的版本
+ * - 双方都有修改：加入冲突队列，由用户选择
+ * - 存储中的版本比本地旧（例如被关闭的旧标签页覆盖）：写回本地版本
+ */
+function reconcileDocuments() {
+    const remoteDocuments = JSON.parse(storageGetItem('documents') || '[]');
+    let tabsChanged = false;
+    let needsPersist = false;
+    
+    captureActiveDocumentState();
+    
+    remoteDocuments.forEach(remote => {
+        if (deletedDocumentIds.has(remote.id)) {
+            needsPersist = true;
+            return;
+        }
+        
+        const local = documents.find(d => d.id === remote.id);
+        if (!local) {
+            documents.push(remote);
+            syncBase.set(remote.id, createSyncSnapshot(remote));
+            tabsChanged = true;
+            return;
+        }
+        
+        const base = syncBase.get(remote.id) || { version: 0, editedBy: null, title: local.title, content: local.content };
+        const remoteVersion = remote.version || 0;
+        
+        if (remote.content === local.content && remote.title === local.title) {
+            local.version = remoteVersion;
+            local.editedBy = remote.editedBy;
+            syncBase.set(local.id, createSyncSnapshot(remote));
+            return;
+        }
+        
+        const remoteIsNewer = remoteVersion > base.version ||
+            (remoteVersion === base.version && remote.editedBy !== base.editedBy);
+        if (!remoteIsNewer) {
+            needsPersist = true;
+            return;
+        }
+        
+        // 版本号相同但修改者不同：本标签页已保存的修改被并发写入覆盖
+        const localChanged = local.content !== base.content || remoteVersion === base.version;
+        if (!localChanged) {
+            if (local.title !== base.title) {
+                remote = { ...remote, title: local.title };
+            }
+            adoptRemoteDocument(local, remote);
+            tabsChanged = true;
+            return;
+        }
+        
+        syncConflicts = syncConflicts.filter(c => c.documentId !== local.id);
+        syncConflicts.push({ documentId: local.id, remote });
+    });
+    
+    // 本地有而存储中没有的文档（新建尚未保存，或被其他标签页覆盖掉）
+    if (documents.some(doc => !remoteDocuments.some(r => r.id === doc.id))) {
+        needsPersist = true;
+    }
+    
+    if (tabsChanged) {
+        renderDocumentTabs();
+    }
+    if (needsPersist) {
+        persistDocuments();
+    }
+    showNextSyncConflict();
+}
+
+/**
+ * 处理其他标签页的同步消息
+ * 
+ * @param {Object} message - 同步消息
+ */
+async function handleSyncMessage(message) {
+    // 忽略自己发出的消息；文档库加载完成前不处理
+    if (!message || message.tabId === SYNC_TAB_ID || documents.length === 0) return;
+    
+    if (message.type === 'cleared') {
+        pendingSaveData = {};
+        location.reload();
+        return;
+    }
+    
+    if (message.type === 'deleted') {
+        handleRemoteDeletion(message.id);
+        return;
+    }
+    
+    if (message.type !== 'saved') return;
+    
+    const keys = message.keys.filter(key => ['documents', 'todos', 'notes'].includes(key));
+    if (keys.length === 0) return;
+    
+    try {
+        await storageReloadItems(keys);
+    } catch (e) {
+        console.error('读取其他标签页的数据失败:', e);
+        return;
+    }
+    
+    if (keys.includes('documents')) {
+        reconcileDocuments();
+    }
+    // 待办和便签以最后一次保存为准；本地有未保存的修改时保留本地数据
+    if (keys.includes('todos') && !('todos' in pendingSaveData)) {
+        todos = JSON.parse(storageGetItem('todos')) || [];
+        renderTodos();
+        updateStats();
+    }
+    if (keys.includes('notes') && !('notes' in pendingSaveData)) {
+        notes = JSON.parse(storageGetItem('notes')) || [];
+        renderNotes();
+        updateStats();
+    }
+}
+
+/**
+ * 处理其他标签页删除文档
+ * 
+ * 文档在本标签页有未保存的修改时换成新 ID 保留，并提示用户。删除方会一直忽略原 ID，
+ * 沿用原 ID 写回时双方会反复互相覆盖。
+ * 
+ * @param {string} id - 被删除的文档 ID
+ */
+function handleRemoteDeletion(id) {
+    const index = documents.findIndex(d => d.id === id);
+    if (index === -1) return;
+    
+    captureActiveDocumentState();
+    const doc = documents[index];
+    const base = syncBase.get(id);
+    if (base && doc.content !== base.content) {
+        const newId = generateDocumentId();
+        if (undoHistories.has(id)) {
+            undoHistories.set(newId, undoHistories.get(id));
+            undoHistories.delete(id);
+        }
+        Object.assign(doc, { id: newId, version: 0, editedBy: null });
+        if (activeDocumentId === id) {
+            activeDocumentId = newId;
+        }
+        syncBase.delete(id);
+        syncConflicts = syncConflicts.filter(c => c.documentId !== id);
+        renderDocumentTabs();
+        persistDocuments();
+        showToast(`文档"${doc.title}"已在其他标签页中删除，本标签页保留了未保存的修改`, 5000);
+        return;
+    }
+    
+    documents.splice(index, 1);
+    syncBase.delete(id);
+    undoHistories.delete(id);
+    syncConflicts = syncConflicts.filter(c => c.documentId !== id);
+    
+    if (documents.length === 0) {
+        documents.push(createDocument(getNextUntitledTitle()));
+    }
+    if (id === activeDocumentId) {
+        const next = documents[Math.min(index, documents.length - 1)];
+        activeDocumentId = next.id;
+        loadDocumentIntoEditor(next);
+    }
+    renderDocumentTabs();
+}
+
+/**
+ * 显示队列中的下一个冲突
+ */
+function showNextSyncConflict() {
+    if (activeSyncConflict) {
+        // 正在显示的文档又有新的远端版本时刷新差异
+        const updated = syncConflicts.find(c => c.documentId === activeSyncConflict.documentId);
+        if (!updated) return;
+        syncConflicts = syncConflicts.filter(c => c !== updated);
+        activeSyncConflict = updated;
+    } else {
+        activeSyncConflict = syncConflicts.shift() || null;
+    }
+    
+    if (!activeSyncConflict) return;
+    
+    const doc = documents.find(d => d.id === activeSyncConflict.documentId);
+    if (!doc) {
+        activeSyncConflict = null;
+        showNextSyncConflict();
+        return;
+    }
+    
+    switchDocument(doc.id);
+    syncConflictTitle.textContent = `"${doc.title}" 已在其他标签页中修改`;
+    const { added, removed } = renderDiffView(syncConflictDiff, activeSyncConflict.remote.content, editor.value, 'inline');
+    syncConflictSummary.textContent = `与其他标签页的版本相比，本标签页新增 ${added} 行、删除 ${removed} 行`;
+    syncConflictPanel.classList.add('show');
+}
+
+/**
+ * 按用户的选择解决当前冲突
+ * 
+ * @param {string} choice - 'local' 保留本标签页版本，'remote' 使用其他标签页版本，'both' 两者都保留
+ */
+function resolveSyncConflict(choice) {
+    const conflict = activeSyncConflict;
+    activeSyncConflict = null;
+    syncConflictPanel.classList.remove('show');
+    
+    const doc = conflict && documents.find(d => d.id === conflict.documentId);
+    if (!doc) {
+        showNextSyncConflict();
+        return;
+    }
+    
+    captureActiveDocumentState();
+    const remote = conflict.remote;
+    const localContent = doc.content;
+    
+    if (choice === 'local') {
+        // 以对方版本为基准，本地内容作为新的修改写回
+        syncBase.set(doc.id, createSyncSnapshot(remote));
+        doc.version = remote.version || 0;
+        saveToStorage();
+        showToast('已保留本标签页的版本');
+    } else {
+        if (choice === 'both') {
+            const copy = createDocument(`${doc.title}（冲突副本）`, localContent);
+            documents.splice(documents.indexOf(doc) + 1, 0, copy);
+        }
+        adoptRemoteDocument(doc, remote);
+        renderDocumentTabs();
+        persistDocuments();
+        showToast(choice === 'both' ? '已使用其他标签页的版本，本标签页的内容另存为副本' : '已使用其他标签页的版本（可撤销）');
+    }
+    
+    showNextSyncConflict();
+}
+
+if (syncChannel) {
+    syncChannel.addEventListener('message', e => handleSyncMessage(e.data));
+} else {
+    window.addEventListener('storage', function(e) {
+        if (e.key === SYNC_STORAGE_KEY && e.newValue) {
+            handleSyncMessage(JSON.parse(e.newValue));
+        }
+    });
+}
+
+syncKeepLocalBtn.addEventListener('click', () => resolveSyncConflict('local'));
+syncUseRemoteBtn.addEventListener('click', () => resolveSyncConflict('remote'));
+syncKeepBothBtn.addEventListener('click', () => resolveSyncConflict('both'));
+
+// ========================================
+// 快速编辑功能
+// ========================================
+// 优化：使用事件委托代替为每个按钮单独添加监听器
+const quickEditToolbar = document.querySelector('.quick-edit-toolbar');
+
+quickEditToolbar.addEventListener('click', function(e) {
+    const btn = e.target.closest('.quick-btn');
+    if (!btn) return;
+    
+    const action = btn.dataset.action;
+    if (action) {
+        insertMarkdown(action);
+    }
+});
+
+/**
+ * 在编辑器中插入 Markdown 语法
+ * 
+ * 根据指定的操作类型，在当前光标位置插入相应的 Markdown 语法。
+ * 如果选中有文本，则对选中的文本应用格式；如果没有选中文本，
+ * 则插入带默认文本的格式占位符。
+ * 
+ * @param {string} action - 操作类型，可选值：
+ *   - 'bold': 粗体
+ *   - 'italic': 斜体
+ *   - 'strikethrough': 删除线
+ *   - 'h1', 'h2', 'h3': 标题
+ *   - 'ul': 无序列表
+ *   - 'ol': 有序列表
+ *   - 'checkbox': 复选框
+ *   - 'code': 行内代码
+ *   - 'codeblock': 代码块
+ *   - 'quote': 引用
+ *   - 'link': 链接
+ *   - 'image': 图片
+ *   - 'table': 表格
+ *   - 'hr': 水平分割线
+ */
+function insertMarkdown(action) {
+    const start = editor.selectionStart;
+    const end = editor.selectionEnd;
+    const selectedText = editor.value.substring(start, end);
+    
+    let newText = '';
+    let cursorOffset = 0;
+    
+    switch(action) {
+        case 'bold':
+            newText = `**${selectedText || '粗体文本'}**`;
+            cursorOffset = selectedText ? newText.length : 2;
+            break;
+        case 'italic':
+            newText = `*${selectedText || '斜体文本'}*`;
+            cursorOffset = selectedText ? newText.length : 1;
+            break;
+        case 'strikethrough':
+            newText = `~~${selectedText || '删除线文本'}~~`;
+            cursorOffset = selectedText ? newText.length : 2;
+            break;
+        case 'h1':
+            newText = `# ${selectedText || '标题1'}`;
+            cursorOffset = newText.length;
+            break;
+        case 'h2':
+            newText = `## ${selectedText || '标题2'}`;
+            cursorOffset = newText.length;
+            break;
+        case 'h3':
+            newText = `### ${selectedText || '标题3'}`;
+            cursorOffset = newText.length;
+            break;
+        case 'ul':
+            newText = `- ${selectedText || '列表项'}`;
+            cursorOffset = newText.length;
+            break;
+        case 'ol':
+            newText = `1. ${selectedText || '列表项'}`;
+            cursorOffset = newText.length;
+            break;
+        case 'checkbox':
+            newText = `- [ ] ${selectedText || '待办事项'}`;
+            cursorOffset = newText.length;
+            break;
+        case 'code':
+            newText = `\`${selectedText || '代码'}\``;
+            cursorOffset = selectedText ? newText.length : 1;
+            break;
+        case 'codeblock':
+            newText = `\`\`\`${selectedText ? '' : 'javascript'}\n${selectedText || '代码内容'}\n\`\`\``;
+            cursorOffset = newText.length - 4;
+            break;
+        case 'quote':
+            newText = `> ${selectedText || '引用内容'}`;
+            cursorOffset = newText.length;
+            break;
+        case 'link':
+            newText = `[${selectedText || '链接文本'}](url)`;
+            cursorOffset = selectedText ? newText.length - 4 : 1;
+            break;
+        case 'image':
+            newText = `![${selectedText || '图片描述'}](image_url)`;
+            cursorOffset = selectedText ? newText.length - 9 : 2;
+            break;
+        case 'table':
+            newText = `| 列1 | 列2 | 列3 |\n|-----|-----|-----|\n| 内容 | 内容 | 内容 |\n| 内容 | 内容 | 内容 |`;
+            cursorOffset = newText.length;
+            break;
+        case 'hr':
+            newText = '\n---\n';
+            cursorOffset = newText.length;
+            break;
+    }
+    
+    editor.focus();
+    
+    // 以可撤销的方式替换选区并设置光标位置（会触发input事件更新预览）
+    const newCursorPos = start + cursorOffset;
+    editorReplaceRange(start, end, newText, newCursorPos);
+}
+
+// 快捷键支持 - 快速编辑
+editor.addEventListener('keydown', function(e) {
+    // Ctrl/⌘+Z: 撤销；Ctrl/⌘+Y、Ctrl/⌘+Shift+Z: 重做
+    // macOS 上也要拦截 ⌘ 组合键，否则会执行与自定义历史不同步的原生撤销
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+        e.preventDefault();
+        applyUndoStep(e.shiftKey);
+    }
+    if ((e.ctrlKey || e.metaKey) && e.key === 'y') {
+        e.preventDefault();
+        redo();
+    }
+    // Ctrl+B: 粗体
+    if (e.ctrlKey && e.key === 'b') {
+        e.preventDefault();
+        insertMarkdown('bold');
+    }
+    // Ctrl+I: 斜体
+    if (e.ctrlKey && e.key === 'i') {
+        e.preventDefault();
+        insertMarkdown('italic');
+    }
+    // Ctrl+K: 代码
+    if (e.ctrlKey && e.key === 'k') {
+        e.preventDefault();
+        insertMarkdown('code');
+    }
+    // Ctrl+L: 链接
+    if (e.ctrlKey && e.key === 'l') {
+        e.preventDefault();
+        insertMarkdown('link');
+    }
+    // Tab键：插入4个空格
+    if (e.key === 'Tab') {
+        e.preventDefault();
+        editorReplaceRange(editor.selectionStart, editor.selectionEnd, '    ');
+    }
+});
+
+// ========================================
+// 文档大纲
+// ========================================
+// 大纲由渲染管线解析出的顶层标题生成（随预览一起更新），按标题级别组织为树。
+// 点击标题时编辑器和预览区都跳转到该标题；拖动标题可以把整个章节
+// （到下一个同级或更高级标题为止）移动到其他位置。
+const outlinePanel = document.getElementById('outline-panel');
+const outlineList = document.getElementById('outline-list');
+const outlineToggleBtn = document.getElementById('outline-toggle-btn');
+let outlineHeadings = []; // 与 lastMarkdownContent 对应的标题列表
+let outlineSignature = '';
+let outlineActiveIndex = -1;
+let outlineDragIndex = -1;
+const collapsedOutlineItems = new Set(); // 折叠的标题，键为 `${级别}:${文字}`
+
+/**
+ * 计算每个标题对应章节的结束位置
+ * 
+ * @param {Array<{level: number, start: number}>} headings - 标题列表
+ * @param {number} length - 文档长度
+ * @returns {Array<{level: number, text: string, start: number, end: number, line: number}>}
+ */
+function getOutlineSections(headings, length) {
+    return headings.map((heading, index) => {
+        const next = headings.slice(index + 1).find(other => other.level <= heading.level);
+        return { ...heading, end: next ? next.start : length };
+    });
+}
+
+/**
+ * 根据标题列表重建大纲
+ * 
+ * @param {Array} headings - 渲染结果中的标题列表
+ */
+function updateOutline(headings) {
+    const signature = JSON.stringify(headings.map(heading => [heading.level, heading.text]));
+    outlineHeadings = headings;
+    // 只是标题位置变化（如在正文中输入）时不重建大纲
+    if (signature === outlineSignature) {
+        updateOutlineHighlight();
+        return;
+    }
+    outlineSignature = signature;
+    outlineActiveIndex = -1;
+    
+    const fragment = document.createDocumentFragment();
+    const stack = [{ level: 0, list: fragment }];
+    
+    headings.forEach((heading, index) => {
+        while (stack.length > 1 && stack[stack.length - 1].level >= heading.level) {
+            stack.pop();
+        }
+        const key = `${heading.level}:${heading.text}`;
+        const hasChildren = index + 1 < headings.length && headings[index + 1].level > heading.level;
+        
+        const item = document.createElement('li');
+        item.className = 'outline-item';
+        item.classList.toggle('collapsed', hasChildren && collapsedOutlineItems.has(key));
+        item.setAttribute('role', 'treeitem');
+        
+        const row = document.createElement('div');
+        row.className = 'outline-row';
+        row.dataset.index = index;
+        row.draggable = true;
+        
+        const toggle = document.createElement('button');
+        toggle.className = 'outline-collapse';
+        toggle.dataset.key = key;
+        toggle.tabIndex = -1;
+        toggle.textContent = hasChildren ? '▾' : '';
+        toggle.disabled = !hasChildren;
+        toggle.setAttribute('aria-label', hasChildren ? '折叠/展开' : '');
+        
+        const link = document.createElement('button');
+        link.className = `outline-link outline-level-${heading.level}`;
+        link.textContent = heading.text || '（无标题）';
+        link.title = heading.text;
+        
+        row.append(toggle, link);
+        item.appendChild(row);
+        stack[stack.length - 1].list.appendChild(item);
+        
+        if (hasChildren) {
+            const children = document.createElement('ul');
+            children.className = 'outline-children';
+            children.setAttribute('role', 'group');
+            item.appendChild(children);
+            stack.push({ level: heading.level, list: children });
+        }
+    });
+    
+    outlineList.innerHTML = '';
+    outlineList.appendChild(fragment);
+    outlinePanel.classList.toggle('empty', headings.length === 0);
+    updateOutlineHighlight();
+}
+
+/**
+ * 高亮光标所在的章节
+ */
+function updateOutlineHighlight() {
+    const caret = editor.selectionStart;
+    let index = -1;
+    outlineHeadings.forEach((heading, i) => {
+        if (heading.start <= caret) index = i;
+    });
+    if (index === outlineActiveIndex) return;
+    
+    outlineActiveIndex = index;
+    outlineList.querySelectorAll('.outline-row.active').forEach(row => row.classList.remove('active'));
+    const row = outlineList.querySelector(`.outline-row[data-index="${index}"]`);
+    if (row) {
+        row.classList.add('active');
+        row.scrollIntoView({ block: 'nearest' });
+    }
+}
+
+/**
+ * 查找预览区中第 index 个大纲标题对应的元素
+ * 
+ * @param {number} index - 标题序号
+ * @returns {HTMLElement|null}
+ */
+function findPreviewHeading(index) {
+    const heading = outlineHeadings[index];
+    if (!heading) return null;
+    
+    const block = previewBlocks.find(({ element }) =>
+        Number(element.dataset.line) <= heading.line && heading.line < Number(element.dataset.lineEnd));
+    if (!block) return null;
+    
+    // 同一个块中可能有多个标题（如 HTML 块中的 Markdown）
+    const position = outlineHeadings.filter(other =>
+        other.line >= Number(block.element.dataset.line) && other.line < heading.line).length;
+    return block.element.querySelectorAll('h1, h2, h3, h4, h5, h6')[position] || block.element;
+}
+
+/**
+ * 编辑器和预览区同时跳转到指定标题
+ * 
+ * @param {number} index - 标题序号
+ */
+function jumpToOutlineHeading(index) {
+    const heading = outlineHeadings[index];
+    if (!heading) return;
+    
+    // 两边各自定位到标题，不经过滚动同步
+    editor.focus({ preventScroll: true });
+    editor.setSelectionRange(heading.start, heading.start);
+    setSyncedScrollTop(editor, getEditorOffsetTop(heading.start));
+    
+    const target = findPreviewHeading(index);
+    if (target) {
+        setSyncedScrollTop(preview, preview.scrollTop + target.getBoundingClientRect().top - preview.getBoundingClientRect().top);
+    }
+    
+    updateLineColumnInfo();
+    updateOutlineHighlight();
+}
+
+/**
+ * 把一个章节移动到另一个章节之前或之后
+ * 
+ * @param {number} fromIndex - 被移动章节的标题序号
+ * @param {number} toIndex - 目标章节的标题序号
+ * @param {boolean} after - 是否放到目标章节（含子章节）之后
+ */
+function moveOutlineSection(fromIndex, toIndex, after) {
+    const value = editor.value;
+    // 预览尚未更新到最新内容时重新解析，保证位置准确
+    const headings = value === lastMarkdownContent ? outlineHeadings : splitMarkdownBlocks(value).headings;
+    const sections = getOutlineSections(headings, value.length);
+    const source = sections[fromIndex];
+    const target = sections[toIndex];
+    if (!source || !target) return;
+    
+    const position = after ? target.end : target.start;
+    if (position >= source.start && position <= source.end) {
+        if (target.start > source.start && target.start < source.end) {
+            showToast('不能把章节移动到它自己的子章节中');
+        }
+        return;
+    }
+    
+    let text = value.slice(source.start, source.end);
+    const rest = value.slice(0, source.start) + value.slice(source.end);
+    const insertAt = position > source.start ? position - (source.end - source.start) : position;
+    // 文档末尾的章节可能没有以空行结尾，放到其他章节前面时补齐
+    text = text.replace(/\n*$/, insertAt < rest.length ? '\n\n' : '\n');
+    // 插入到没有换行结尾的文档末尾时先补一个空行
+    const prefix = insertAt === rest.length && rest.length > 0 && !rest.endsWith('\n\n') ? (rest.endsWith('\n') ? '\n' : '\n\n') : '';
+    
+    setEditorValue(rest.slice(0, insertAt) + prefix + text + rest.slice(insertAt));
+    const caret = insertAt + prefix.length;
+    editor.setSelectionRange(caret, caret);
+    renderPreview(editor.value);
+    showToast(`已移动章节"${source.text}"`);
+}
+
+outlineList.addEventListener('click', (e) => {
+    const toggle = e.target.closest('.outline-collapse');
+    if (toggle) {
+        const item = toggle.closest('.outline-item');
+        item.classList.toggle('collapsed');
+        if (item.classList.contains('collapsed')) {
+            collapsedOutlineItems.add(toggle.dataset.key);
+        } else {
+            collapsedOutlineItems.delete(toggle.dataset.key);
+        }
+        return;
+    }
+    
+    const row = e.target.closest('.outline-row');
+    if (row) {
+        jumpToOutlineHeading(Number(row.dataset.index));
+    }
+});
+
+outlineList.addEventListener('dragstart', (e) => {
+    const row = e.target.closest('.outline-row');
+    if (!row) return;
+    outlineDragIndex = Number(row.dataset.index);
+    row.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', outlineHeadings[outlineDragIndex].text);
+});
+
+/**
+ * 清除拖动时的插入位置标记
+ */
+function clearOutlineDropMarkers() {
+    outlineList.querySelectorAll('.drop-before, .drop-after').forEach(row => row.classList.remove('drop-before', 'drop-after'));
+}
+
+outlineList.addEventListener('dragover', (e) => {
+    const row = e.target.closest('.outline-row');
+    if (outlineDragIndex === -1 || !row) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    
+    const rect = row.getBoundingClientRect();
+    const after = e.clientY > rect.top + rect.height / 2;
+    clearOutlineDropMarkers();
+    row.classList.add(after ? 'drop-after' : 'drop-before');
+});
+
+outlineList.addEventListener('dragleave', (e) => {
+    if (!outlineList.contains(e.relatedTarget)) {
+        clearOutlineDropMarkers();
+    }
+});
+
+outlineList.addEventListener('drop', (e) => {
+    const row = e.target.closest('.outline-row');
+    if (outlineDragIndex === -1 || !row) return;
+    e.preventDefault();
+    
+    const after = row.classList.contains('drop-after');
+    clearOutlineDropMarkers();
+    moveOutlineSection(outlineDragIndex, Number(row.dataset.index), after);
+});
+
+outlineList.addEventListener('dragend', () => {
+    outlineDragIndex = -1;
+    clearOutlineDropMarkers();
+    outlineList.querySelectorAll('.dragging').forEach(row => row.classList.remove('dragging'));
+});
+
+// 和行列号一样在光标移动时更新当前章节
+['keyup', 'click', 'focus'].forEach(type => editor.addEventListener(type, updateOutlineHighlight));
+
+/**
+ * 显示或隐藏大纲
+ * 
+ * @param {boolean} visible - 是否显示
+ */
+function setOutlineVisible(visible) {
+    outlinePanel.hidden = !visible;
+    outlineToggleBtn.classList.toggle('active', visible);
+    outlineToggleBtn.setAttribute('aria-expanded', String(visible));
+    localStorage.setItem('outlineVisible', String(visible));
+}
+
+outlineToggleBtn.addEventListener('click', () => setOutlineVisible(outlinePanel.hidden));
+setOutlineVisible(localStorage.getItem('outlineVisible') !== 'false');
+
+// ========================================
+// 预览定位到源码
+// ========================================
+// 单击预览区中的文字（或按住 Ctrl/⌘ 单击任意位置，包括链接）时，把编辑器光标移到对应的源码处。
+// 先由 .preview-block 记录的源码范围确定所在块，再用点击处附近的文字在块的源码中查找，
+// 找不到时（公式、转义字符等）退回到块的开头。
+const PREVIEW_JUMP_IGNORE_SELECTOR = 'a, button, input, select, textarea, summary, label, .diagram-menu';
+const SOURCE_NEEDLE_SIZES = [16, 6, 2]; // 依次尝试的查找片段长度
+
+/**
+ * 获取鼠标位置处的文本节点和字符偏移
+ * 
+ * @param {number} x - clientX
+ * @param {number} y - clientY
+ * @returns {{node: Node, offset: number}|null}
+ */
+function getCaretFromPoint(x, y) {
+    if (document.caretPositionFromPoint) {
+        const position = document.caretPositionFromPoint(x, y);
+        return position && { node: position.offsetNode, offset: position.offset };
+    }
+    if (document.caretRangeFromPoint) {
+        const range = document.caretRangeFromPoint(x, y);
+        return range && { node: range.startContainer, offset: range.startOffset };
+    }
+    return null;
+}
+
+/**
+ * 统计 needle 在 text 中出现的次数（允许重叠）
+ * 
+ * @param {string} text - 被查找的文本
+ * @param {string} needle - 查找片段
+ * @returns {number}
+ */
+function countOccurrences(text, needle) {
+    let count = 0;
+    for (let index = text.indexOf(needle); index !== -1; index = text.indexOf(needle, index + 1)) {
+        count++;
+    }
+    return count;
+}
+
+/**
+ * 把预览块中的文字位置换算为源码偏移量
+ * 
+ * 在块的源码中查找点击处附近的片段；片段在块中出现多次时，按点击处之前出现的次数取对应的一处。
+ * 
+ * @param {HTMLElement} blockElement - .preview-block 元素
+ * @param {Node|null} node - 点击处的文本节点
+ * @param {number} offset - 文本节点内的字符偏移
+ * @returns {number} editor.value 中的偏移量
+ */
+function findSourceOffset(blockElement, node, offset) {
+    const length = editor.value.length;
+    const start = Math.min(Number(blockElement.dataset.sourceStart) || 0, length);
+    const end = Math.min(Math.max(start, Number(blockElement.dataset.sourceEnd) || start), length);
+    if (!node || node.nodeType !== Node.TEXT_NODE || !blockElement.contains(node)) return start;
+    
+    const source = editor.value.slice(start, end);
+    const text = node.data;
+    for (const size of SOURCE_NEEDLE_SIZES) {
+        const from = Math.max(0, Math.min(offset, text.length - size));
+        const needle = text.slice(from, from + size);
+        if (!needle.trim()) continue;
+        
+        const range = document.createRange();
+        range.setStart(blockElement, 0);
+        range.setEnd(node, from);
+        const occurrence = countOccurrences(range.toString(), needle);
+        
+        let index = source.indexOf(needle);
+        for (let i = 0; i < occurrence && index !== -1; i++) {
+            const next = source.indexOf(needle, index + 1);
+            if (next === -1) break;
+            index = next;
+        }
+        if (index !== -1) {
+            return start + index + Math.min(offset - from, needle.length);
+        }
+    }
+    return start;
+}
+
+/**
+ * 在编辑器中短暂高亮一行
+ * 
+ * textarea 无法为部分文字设置样式，因此在编辑器上方叠加一个淡出的色块。
+ * 
+ * @param {number} top - 行顶部在编辑器滚动区域中的坐标
+ * @param {number} height - 行高（自动换行时为多行的总高度）
+ */
+function flashEditorLine(top, height) {
+    const body = editor.parentElement;
+    body.querySelectorAll('.editor-line-flash').forEach(flash => flash.remove());
+    
+    const flash = document.createElement('div');
+    flash.className = 'editor-line-flash';
+    Object.assign(flash.style, {
+        top: `${editor.offsetTop + top - editor.scrollTop}px`,
+        left: `${editor.offsetLeft}px`,
+        width: `${editor.clientWidth}px`,
+        height: `${height}px`
+    });
+    flash.addEventListener('animationend', () => flash.remove());
+    body.appendChild(flash);
+}
+
+/**
+ * 把编辑器光标移到指定位置，滚动到可见区域并高亮所在行
+ * 
+ * @param {number} position - editor.value 中的偏移量
+ */
+function revealEditorPosition(position) {
+    const value = editor.value;
+    const lineStart = value.lastIndexOf('\n', position - 1) + 1;
+    const newline = value.indexOf('\n', position);
+    const lineEnd = newline === -1 ? value.length : newline;
+    
+    editor.focus({ preventScroll: true });
+    editor.setSelectionRange(position, position);
+    
+    const [top, lastRowTop] = getEditorOffsetTops([lineStart, lineEnd]);
+    const height = lastRowTop - top + (parseFloat(getComputedStyle(editor).lineHeight) || 0);
+    if (top < editor.scrollTop || top + height > editor.scrollTop + editor.clientHeight) {
+        // 只移动编辑器，预览区保持在用户点击的位置
+        setSyncedScrollTop(editor, top - editor.clientHeight / 3);
+    }
+    flashEditorLine(top, height);
+    
+    updateLineColumnInfo();
+    updateOutlineHighlight();
+}
+
+preview.addEventListener('click', (e) => {
+    const forced = e.ctrlKey || e.metaKey;
+    if (!forced && (e.target.closest(PREVIEW_JUMP_IGNORE_SELECTOR) || !window.getSelection().isCollapsed)) return;
+    
+    const blockElement = e.target.closest('.preview-block');
+    if (!blockElement || !preview.contains(blockElement)) return;
+    if (forced) {
+        e.preventDefault();
+    }
+    
+    // 点到空白处（如单元格内边距）时取被点击元素中的第一段文字
+    let caret = getCaretFromPoint(e.clientX, e.clientY);
+    if (!caret || caret.node.nodeType !== Node.TEXT_NODE || !blockElement.contains(caret.node)) {
+        const walker = document.createTreeWalker(e.target, NodeFilter.SHOW_TEXT);
+        caret = { node: walker.nextNode(), offset: 0 };
+    }
+    revealEditorPosition(findSourceOffset(blockElement, caret.node, caret.offset));
+});
+
+// ========================================
+// 任务列表
+// ========================================
+// 预览中的 GFM 任务复选框可以直接点击，勾选状态写回源码中对应的 [ ] / [x]。
+// 复选框按顺序与所在块源码中的任务标记一一对应；修改通过 editorReplaceRange 进行，
+// 因此会触发正常的预览更新和自动保存，也可以撤销。
+const TASK_MARKER_PATTERN = /^((?:[ \t]*>)*[ \t]*(?:[-*+]|\d{1,9}[.)])[ \t]+)\[[ xX]\](?= +\S)/;
+const FENCE_LINE_PATTERN = /^(?:[ \t]*>)*[ \t]*(?:(?:[-*+]|\d{1,9}[.)])[ \t]+)?(`{3,}|~{3,})/;
+
+/**
+ * 启用块中的任务复选框
+ * 
+ * @param {HTMLElement} element - 块的包装元素
+ */
+function enableTaskCheckboxes(element) {
+    element.querySelectorAll('input.task-list-checkbox').forEach(box => {
+        box.disabled = false;
+        box.setAttribute('aria-label', '切换任务完成状态');
+    });
+}
+
+/**
+ * 查找源码范围内的任务标记
+ * 
+ * 跳过围栏代码块中形如任务的行。
+ * 
+ * @param {string} value - 全文
+ * @param {number} start - 范围起点
+ * @param {number} end - 范围终点
+ * @returns {number[]} 每个标记中 "[" 在全文中的偏移量
+ */
+function findTaskMarkers(value, start, end) {
+    const markers = [];
+    let fence = null;
+    let offset = start;
+    for (const line of value.slice(start, end).split('\n')) {
+        const fenceMatch = FENCE_LINE_PATTERN.exec(line);
+        if (fence) {
+            if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+                fence = null;
+            }
+        } else if (fenceMatch) {
+            fence = fenceMatch[1];
+        } else {
+            const match = TASK_MARKER_PATTERN.exec(line);
+            if (match) {
+                markers.push(offset + match[1].length);
             }
-            
-            // 更新字数统计
-            updateWordCount();
-            
-            // 更新统计
-            if (typeof updateStats === 'function') {
-                updateStats();
+        }
+        offset += line.length + 1;
+    }
+    return markers;
+}
+
+preview.addEventListener('change', (e) => {
+    const box = e.target;
+    if (!box.matches('input.task-list-checkbox')) return;
+    const blockElement = box.closest('.preview-block');
+    if (!blockElement) return;
+    
+    const boxes = [...blockElement.querySelectorAll('input.task-list-checkbox')];
+    const markers = findTaskMarkers(
+        editor.value,
+        Number(blockElement.dataset.sourceStart) || 0,
+        Number(blockElement.dataset.sourceEnd) || 0
+    );
+    // 预览尚未跟上编辑器时两边数量可能不一致，此时不做修改
+    if (markers.length !== boxes.length) {
+        box.checked = !box.checked;
+        showToast('无法定位该任务的源码，请稍后重试');
+        return;
+    }
+    
+    // 替换前后长度相同，选区和两侧的滚动位置都保持不变
+    const position = markers[boxes.indexOf(box)] + 1;
+    const scrollTops = [editor.scrollTop, preview.scrollTop];
+    editorReplaceRange(position, position + 1, box.checked ? 'x' : ' ', editor.selectionStart, editor.selectionEnd);
+    setSyncedScrollTop(editor, scrollTops[0]);
+    setSyncedScrollTop(preview, scrollTops[1]);
+});
+
+// ========================================
+// 文档样式
+// ========================================
+// 预览区、导出的 HTML 和复制的富文本使用同一套文档样式：一个文档主题、浅色和深色下的
+// 代码配色，以及用户自定义 CSS。样式以普通文档 CSS 书写（h1、p、& 表示文档本身），
+// 使用时由 scopeDocumentCss 加上作用范围：预览中限定在 #preview 内，导出时限定在 body 上。
+// "跟随应用"主题的预览使用 style.css 中随应用主题变化的样式，导出和复制使用其中的浅色样式。
+const DOCUMENT_THEMES = {
+    default: {
+        name: '跟随应用',
+        appStyle: true,
+        css: `
+            & { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Microsoft YaHei', sans-serif; line-height: 1.8; color: #333; }
+            h1, h2, h3, h4 { margin-top: 24px; margin-bottom: 16px; }
+            h1 { font-size: 32px; border-bottom: 2px solid #e5e5e5; padding-bottom: 8px; }
+            h2 { font-size: 24px; border-bottom: 1px solid #e5e5e5; padding-bottom: 6px; }
+            h3 { font-size: 20px; }
+            h4 { font-size: 16px; }
+            p { margin: 8px 0; }
+            ul, ol { margin: 8px 0; padding-left: 24px; }
+            li { margin: 4px 0; }
+            code { background: #f5f5f5; padding: 2px 6px; border-radius: 4px; font-family: 'Consolas', 'Monaco', monospace; }
+            pre { background: #f5f5f5; padding: 12px; border-radius: 8px; }
+            pre code { background: none; padding: 0; }
+            blockquote { border-left: 4px solid #ddd; padding-left: 16px; margin: 12px 0; color: #666; }
+            table { width: 100%; border-collapse: collapse; margin: 12px 0; }
+            th, td { border: 1px solid #e5e5e5; padding: 8px 12px; text-align: left; }
+            th { background: #fafafa; }
+            img { max-width: 100%; border-radius: 8px; }
+            hr { border: none; border-top: 1px solid #e5e5e5; margin: 16px 0; }
+            a { color: #333; text-decoration: underline; }`,
+        darkCss: ''
+    },
+    github: {
+        name: 'GitHub',
+        css: `
+            & { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Noto Sans', Helvetica, Arial, 'PingFang SC', 'Microsoft YaHei', sans-serif; font-size: 16px; line-height: 1.5; color: #1f2328; background: #ffffff; }
+            h1, h2, h3, h4, h5, h6 { margin: 24px 0 16px; padding-bottom: 0; border-bottom: none; font-weight: 600; line-height: 1.25; color: inherit; }
+            h1 { font-size: 2em; padding-bottom: 0.3em; border-bottom: 1px solid #d1d9e0; }
+            h2 { font-size: 1.5em; padding-bottom: 0.3em; border-bottom: 1px solid #d1d9e0; }
+            h3 { font-size: 1.25em; }
+            h4 { font-size: 1em; }
+            h5 { font-size: 0.875em; }
+            h6 { font-size: 0.85em; color: #59636e; }
+            p, blockquote, ul, ol, dl, table, pre { margin: 0 0 16px; }
+            ul, ol { padding-left: 2em; }
+            li { margin: 0.25em 0 0; }
+            a { color: #0969da; text-decoration: none; }
+            a:hover { text-decoration: underline; }
+            code { padding: 0.2em 0.4em; font-family: ui-monospace, SFMono-Regular, 'SF Mono', Menlo, Consolas, monospace; font-size: 85%; background: rgba(129, 139, 152, 0.12); border-radius: 6px; }
+            pre { --code-block-padding: 16px; padding: 16px; font-size: 85%; line-height: 1.45; border-radius: 6px; }
+            pre code { padding: 0; font-size: 100%; background: none; }
+            blockquote { padding: 0 1em; color: #59636e; border-left: 0.25em solid #d1d9e0; }
+            table { width: auto; border-collapse: collapse; }
+            th, td { padding: 6px 13px; border: 1px solid #d1d9e0; }
+            th { font-weight: 600; color: inherit; background: none; }
+            tr:nth-child(2n) { background: #f6f8fa; }
+            hr { height: 0.25em; margin: 24px 0; padding: 0; border: 0; background: #d1d9e0; }
+            img { max-width: 100%; border-radius: 0; }
+            dd { color: inherit; }`,
+        darkCss: `
+            & { color: #f0f6fc; background: #0d1117; }
+            h1, h2 { border-bottom-color: #3d444d; }
+            h6, blockquote { color: #9198a1; }
+            a { color: #4493f8; }
+            code { background: rgba(101, 108, 118, 0.2); }
+            blockquote { border-left-color: #3d444d; }
+            th, td { border-color: #3d444d; }
+            tr:nth-child(2n) { background: #151b23; }
+            hr { background: #3d444d; }`
+    },
+    academic: {
+        name: '学术论文',
+        css: `
+            & { font-family: 'Times New Roman', 'Songti SC', SimSun, serif; font-size: 16px; line-height: 1.75; color: #111; background: #ffffff; text-align: justify; }
+            h1, h2, h3, h4, h5, h6 { padding-bottom: 0; border-bottom: none; font-family: 'Times New Roman', 'Heiti SC', SimHei, serif; color: inherit; }
+            h1 { margin: 24px 0 20px; font-size: 1.6em; text-align: center; }
+            h2 { margin: 28px 0 12px; font-size: 1.3em; }
+            h3 { margin: 20px 0 8px; font-size: 1.1em; }
+            h4 { margin: 16px 0 8px; font-size: 1em; font-style: italic; }
+            p { margin: 0 0 12px; text-indent: 2em; }
+            li p, blockquote p, td p, dd p { text-indent: 0; }
+            ul, ol { margin: 0 0 12px; padding-left: 2em; }
+            a { color: inherit; text-decoration: underline; text-decoration-color: #999; }
+            blockquote { margin: 12px 2em; padding: 0; border: none; font-size: 0.95em; color: #444; }
+            code { padding: 0; font-family: 'Courier New', Consolas, monospace; font-size: 0.9em; background: none; }
+            pre { font-size: 13px; border-top: 1px solid #999; border-bottom: 1px solid #999; border-radius: 0; text-align: left; }
+            pre code { font-size: inherit; }
+            table { width: auto; margin: 16px auto; border-collapse: collapse; border-top: 2px solid #111; border-bottom: 2px solid #111; }
+            th, td { padding: 4px 12px; border: none; text-align: center; }
+            th { font-weight: 600; color: inherit; background: none; border-bottom: 1px solid #111; }
+            img { display: block; max-width: 100%; margin: 16px auto; border-radius: 0; }
+            hr { margin: 24px 25%; border: none; border-top: 1px solid #999; }
+            dd { color: inherit; }`,
+        darkCss: `
+            & { color: #e6e6e6; background: #1b1b1b; }
+            blockquote { color: #bbb; }
+            table { border-color: #e6e6e6; }
+            th { border-bottom-color: #e6e6e6; }
+            pre, hr { border-color: #666; }`
+    },
+    compact: {
+        name: '紧凑',
+        css: `
+            & { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Microsoft YaHei', sans-serif; font-size: 13px; line-height: 1.45; color: #222; background: #ffffff; }
+            h1, h2, h3, h4, h5, h6 { margin: 12px 0 6px; padding-bottom: 0; border-bottom: none; line-height: 1.3; color: inherit; }
+            h1 { font-size: 1.6em; padding-bottom: 2px; border-bottom: 1px solid #ddd; }
+            h2 { font-size: 1.35em; }
+            h3 { font-size: 1.15em; }
+            h4 { font-size: 1em; }
+            p, ul, ol, dl, blockquote, table, pre { margin: 0 0 6px; }
+            ul, ol { padding-left: 1.5em; }
+            li { margin: 1px 0; }
+            a { color: #0b63c5; text-decoration: none; }
+            code { padding: 0 3px; font-size: 12px; background: #f0f0f0; border-radius: 3px; }
+            pre { --code-block-padding: 8px; padding: 6px 8px; font-size: 12px; line-height: 1.35; border-radius: 4px; }
+            pre code { padding: 0; font-size: inherit; background: none; }
+            blockquote { padding: 0 8px; border-left: 3px solid #ccc; color: #555; }
+            table { width: auto; border-collapse: collapse; }
+            th, td { padding: 2px 6px; border: 1px solid #ccc; }
+            th { font-weight: 600; color: inherit; background: #f3f3f3; }
+            hr { margin: 8px 0; border: none; border-top: 1px solid #ddd; }
+            img { max-width: 100%; border-radius: 0; }
+            dd { color: inherit; }`,
+        darkCss: `
+            & { color: #ddd; background: #1e1e1e; }
+            h1, hr { border-color: #444; }
+            a { color: #6cb6ff; }
+            code { background: #2d2d2d; }
+            blockquote { color: #aaa; border-left-color: #555; }
+            th, td { border-color: #444; }
+            th { background: #2a2a2a; }`
+    }
+};
+
+// 代码配色：颜色 → highlight.js 作用域（title.class 对应 .hljs-title.class_）
+const CODE_THEMES = {
+    github: {
+        name: 'GitHub',
+        background: '#f6f8fa',
+        color: '#24292e',
+        tokens: {
+            '#d73a49': 'keyword doctag template-tag template-variable type variable.language',
+            '#6f42c1': 'title title.class title.class.inherited title.function',
+            '#005cc5': 'attr attribute literal meta number operator variable selector-attr selector-class selector-id section',
+            '#032f62': 'regexp string',
+            '#e36209': 'built_in symbol',
+            '#6a737d': 'comment code formula',
+            '#22863a': 'name quote selector-tag selector-pseudo addition',
+            '#735c0f': 'bullet',
+            '#b31d28': 'deletion'
+        }
+    },
+    'github-dark': {
+        name: 'GitHub Dark',
+        background: '#161b22',
+        color: '#c9d1d9',
+        tokens: {
+            '#ff7b72': 'keyword doctag template-tag template-variable type variable.language',
+            '#d2a8ff': 'title title.class title.class.inherited title.function',
+            '#79c0ff': 'attr attribute literal meta number operator variable selector-attr selector-class selector-id section',
+            '#a5d6ff': 'regexp string',
+            '#ffa657': 'built_in symbol',
+            '#8b949e': 'comment code formula',
+            '#7ee787': 'name quote selector-tag selector-pseudo addition',
+            '#f2cc60': 'bullet',
+            '#ffa198': 'deletion'
+        }
+    },
+    'atom-one-light': {
+        name: 'Atom One Light',
+        background: '#fafafa',
+        color: '#383a42',
+        tokens: {
+            '#a0a1a7': 'comment quote',
+            '#a626a4': 'doctag keyword formula',
+            '#e45649': 'section name selector-tag deletion subst',
+            '#0184bb': 'literal',
+            '#50a14f': 'string regexp addition attribute',
+            '#986801': 'attr variable template-variable type selector-class selector-attr selector-pseudo number',
+            '#4078f2': 'symbol bullet link meta selector-id title',
+            '#c18401': 'built_in title.class'
+        }
+    },
+    'atom-one-dark': {
+        name: 'Atom One Dark',
+        background: '#282c34',
+        color: '#abb2bf',
+        tokens: {
+            '#5c6370': 'comment quote',
+            '#c678dd': 'doctag keyword formula',
+            '#e06c75': 'section name selector-tag deletion subst',
+            '#56b6c2': 'literal',
+            '#98c379': 'string regexp addition attribute',
+            '#d19a66': 'attr variable template-variable type selector-class selector-attr selector-pseudo number',
+            '#61aeef': 'symbol bullet link meta selector-id title',
+            '#e6c07b': 'built_in title.class'
+        }
+    },
+    vs2015: {
+        name: 'VS 2015',
+        background: '#1e1e1e',
+        color: '#dcdcdc',
+        tokens: {
+            '#569cd6': 'keyword literal symbol name link',
+            '#4ec9b0': 'built_in type title.class',
+            '#b8d7a3': 'number',
+            '#d69d85': 'string',
+            '#dcdcaa': 'title.function',
+            '#9cdcfe': 'attr attribute variable template-variable property params',
+            '#57a64a': 'comment quote',
+            '#9b9b9b': 'meta doctag',
+            '#d7ba7d': 'selector-tag selector-id selector-class selector-attr selector-pseudo',
+            '#d16969': 'regexp'
+        }
+    }
+};
+
+const DOCUMENT_STYLE_DEFAULTS = {
+    theme: 'default',
+    codeThemeLight: 'github',
+    codeThemeDark: 'github-dark',
+    customCss: ''
+};
+// 导出页面的版面，不属于文档主题
+const EXPORT_PAGE_CSS = `
+        body { max-width: 800px; margin: 40px auto; padding: 20px; }`;
+// 各主题共用的扩展元素样式（预览中对应 style.css 的同名样式），颜色在浅色和深色背景上都适用
+const DOCUMENT_BASE_CSS = `
+    pre { overflow-x: auto; }
+    math[display="block"] { margin: 12px 0; overflow-x: auto; }
+    .math-error code { color: #c95555; background: #f0dcdc; }
+    .math-error-message { display: block; font-size: 12px; color: #c95555; }
+    .diagram { margin: 12px 0; text-align: center; }
+    .diagram svg { max-width: 100%; height: auto; }
+    .diagram-error { color: #c95555; font-size: 12px; text-align: left; }
+    mark { background: #fff3a8; color: #222; padding: 0 2px; border-radius: 2px; }
+    dl { margin: 12px 0; }
+    dt { font-weight: 600; margin-top: 8px; }
+    dd { margin: 2px 0 2px 24px; }
+    .admonition { margin: 12px 0; padding: 8px 16px; border-left: 4px solid #5b8fb9; border-radius: 4px; background: rgba(91, 143, 185, 0.12); }
+    .admonition-title { margin: 4px 0; font-weight: 600; color: #5b8fb9; }
+    .admonition-tip { border-color: #5f9e5f; background: rgba(95, 158, 95, 0.12); }
+    .admonition-tip .admonition-title { color: #5f9e5f; }
+    .admonition-important { border-color: #8a6bbf; background: rgba(138, 107, 191, 0.12); }
+    .admonition-important .admonition-title { color: #8a6bbf; }
+    .admonition-warning { border-color: #d4903a; background: rgba(212, 144, 58, 0.12); }
+    .admonition-warning .admonition-title { color: #d4903a; }
+    .admonition-caution { border-color: #c95555; background: rgba(201, 85, 85, 0.12); }
+    .admonition-caution .admonition-title { color: #c95555; }
+    .footnote-ref a { text-decoration: none; }
+    .footnotes { margin-top: 32px; padding-top: 8px; border-top: 1px solid rgba(127, 127, 127, 0.3); font-size: 14px; opacity: 0.85; }
+    .footnote-backref { text-decoration: none; }
+    .toc { margin: 16px 0; padding: 12px 16px; background: rgba(127, 127, 127, 0.06); border: 1px solid rgba(127, 127, 127, 0.25); border-radius: 8px; }
+    .toc-title { margin: 0 0 4px; font-weight: 600; }
+    .toc ul { list-style: none; margin: 0; padding-left: 16px; }
+    .toc > ul { padding-left: 0; }
+    .toc li { margin: 2px 0; }
+    .toc a { text-decoration: none; }
+    .toc-number { opacity: 0.6; margin-right: 4px; }
+    .title-block { margin-bottom: 32px; padding-bottom: 16px; border-bottom: 2px solid rgba(127, 127, 127, 0.25); text-align: center; }
+    .title-block-title { border: none; margin: 0 0 8px; padding: 0; }
+    .title-block-byline { opacity: 0.75; }
+    .title-block-description { opacity: 0.6; font-style: italic; }
+    .code-block { position: relative; margin: 12px 0; }
+    .code-block pre { margin: 0; }
+    .code-block-title { padding: 6px 12px; background: rgba(127, 127, 127, 0.15); border-radius: 8px 8px 0 0; font-family: 'Consolas', 'Monaco', monospace; font-size: 12px; }
+    .code-block-title + pre { border-top-left-radius: 0; border-top-right-radius: 0; }
+    .code-copy-btn { position: absolute; top: 6px; right: 6px; padding: 2px 8px; border: 1px solid #ddd; border-radius: 4px; background: #fff; color: #666; font-size: 12px; cursor: pointer; opacity: 0; transition: opacity 0.2s; }
+    .code-block:hover .code-copy-btn, .code-copy-btn:focus-visible { opacity: 1; }
+    .code-line { display: inline-block; box-sizing: border-box; min-width: calc(100% + 2 * var(--code-block-padding, 12px)); margin: 0 calc(-1 * var(--code-block-padding, 12px)); padding: 0 var(--code-block-padding, 12px); }
+    .code-line:empty::before { content: ' '; }
+    .code-line.highlighted { background: rgba(224, 179, 65, 0.18); box-shadow: inset 3px 0 #e0b341; }
+    .line-numbers code { counter-reset: code-line; }
+    .line-numbers .code-line::before { counter-increment: code-line; content: counter(code-line); display: inline-block; width: 2.5em; margin-right: 12px; text-align: right; opacity: 0.5; user-select: none; }`;
+// 复制富文本时写入行内 style 的属性；其他应用通常不读取样式表
+const INLINE_STYLE_PROPERTIES = [
+    'color', 'background-color', 'font-family', 'font-size', 'font-weight', 'font-style',
+    'line-height', 'text-align', 'text-indent', 'text-decoration-line', 'white-space',
+    'margin-top', 'margin-right', 'margin-bottom', 'margin-left',
+    'padding-top', 'padding-right', 'padding-bottom', 'padding-left',
+    'border-top', 'border-right', 'border-bottom', 'border-left', 'border-radius'
+];
+const INHERITED_STYLE_PROPERTIES = [
+    'color', 'font-family', 'font-size', 'font-weight', 'font-style',
+    'line-height', 'text-align', 'text-indent', 'white-space'
+];
+
+let documentStyleSettings = loadDocumentStyleSettings();
+const documentStyleElement = document.createElement('style');
+documentStyleElement.id = 'document-style';
+document.head.appendChild(documentStyleElement);
+
+/**
+ * 读取文档样式设置，缺失或无效的项使用默认值
+ * 
+ * @returns {{theme: string, codeThemeLight: string, codeThemeDark: string, customCss: string}}
+ */
+function loadDocumentStyleSettings() {
+    const settings = { ...DOCUMENT_STYLE_DEFAULTS };
+    try {
+        const saved = JSON.parse(localStorage.getItem('documentStyle'));
+        if (saved && typeof saved === 'object') {
+            if (saved.theme in DOCUMENT_THEMES) settings.theme = saved.theme;
+            if (saved.codeThemeLight in CODE_THEMES) settings.codeThemeLight = saved.codeThemeLight;
+            if (saved.codeThemeDark in CODE_THEMES) settings.codeThemeDark = saved.codeThemeDark;
+            if (typeof saved.customCss === 'string') settings.customCss = saved.customCss;
+        }
+    } catch (error) {
+        console.error('读取文档样式设置失败:', error);
+    }
+    return settings;
+}
+
+/**
+ * 查找与 { 匹配的 }
+ * 
+ * @param {string} css - CSS 文本
+ * @param {number} open - { 的位置
+ * @returns {number} } 的位置，没有时返回文本长度
+ */
+function findClosingBrace(css, open) {
+    let depth = 0;
+    for (let i = open; i < css.length; i++) {
+        if (css[i] === '{') depth++;
+        if (css[i] === '}' && --depth === 0) return i;
+    }
+    return css.length;
+}
+
+/**
+ * 为文档 CSS 中的选择器加上作用范围
+ * 
+ * &、:root、html、body 和 .markdown-body 表示文档本身，替换为 scope；
+ * 其他选择器限定在 scope 之内。@media、@supports 中的规则同样处理，
+ * @font-face、@keyframes 等原样保留，@import 等语句被忽略。
+ * 
+ * @param {string} css - 文档 CSS
+ * @param {string} scope - 作用范围选择器
+ * @returns {string}
+ */
+function scopeDocumentCss(css, scope) {
+    css = css.replace(/\/\*[\s\S]*?\*\//g, '');
+    let result = '';
+    let index = 0;
+    while (index < css.length) {
+        const open = css.indexOf('{', index);
+        if (open === -1) break;
+        const close = findClosingBrace(css, open);
+        const prelude = css.slice(index, open).split(';').pop().trim();
+        const body = css.slice(open + 1, close);
+        index = close + 1;
+        
+        if (/^@(media|supports|container|layer)\b/i.test(prelude)) {
+            result += `${prelude} {\n${scopeDocumentCss(body, scope)}}\n`;
+        } else if (prelude.startsWith('@')) {
+            result += `${prelude} {${body}}\n`;
+        } else if (prelude) {
+            const selectors = prelude.split(',').map(selector => {
+                selector = selector.trim();
+                const root = /^(?:&|:root|html|body|\.markdown-body)(?![\w-])/.exec(selector);
+                return root ? scope + selector.slice(root[0].length) : `${scope} ${selector}`;
+            });
+            result += `${selectors.join(', ')} {${body}}\n`;
+        }
+    }
+    return result;
+}
+
+/**
+ * 生成代码配色的文档 CSS
+ * 
+ * @param {string} name - CODE_THEMES 的键
+ * @returns {string}
+ */
+function buildCodeThemeCss(name) {
+    const theme = CODE_THEMES[name] || CODE_THEMES[DOCUMENT_STYLE_DEFAULTS.codeThemeLight];
+    const rules = [
+        `.code-block pre { background: ${theme.background}; }`,
+        `.code-block pre, .hljs { color: ${theme.color}; }`,
+        '.hljs-emphasis { font-style: italic; }',
+        '.hljs-strong, .hljs-section { font-weight: bold; }'
+    ];
+    Object.entries(theme.tokens).forEach(([color, scopes]) => {
+        const selectors = scopes.split(' ').map(scope => {
+            const [first, ...rest] = scope.split('.');
+            return `.hljs-${first}${rest.map(part => `.${part}_`).join('')}`;
+        });
+        rules.push(`${selectors.join(', ')} { color: ${color}; }`);
+    });
+    return rules.join('\n');
+}
+
+/**
+ * 生成导出 HTML 使用的样式表（文档位于 body 上）
+ * 
+ * 有深色版本的主题在系统使用深色模式时切换为深色样式和深色代码配色。
+ * 
+ * @returns {string}
+ */
+function buildExportDocumentCss() {
+    const theme = DOCUMENT_THEMES[documentStyleSettings.theme];
+    const scope = 'body';
+    let css = EXPORT_PAGE_CSS + '\n' +
+        scopeDocumentCss(DOCUMENT_BASE_CSS + theme.css + buildCodeThemeCss(documentStyleSettings.codeThemeLight), scope);
+    if (theme.darkCss) {
+        css += `@media (prefers-color-scheme: dark) {\n${scopeDocumentCss(theme.darkCss + buildCodeThemeCss(documentStyleSettings.codeThemeDark), scope)}}\n`;
+    }
+    // 自定义 CSS 放在最后，覆盖主题中的同名规则
+    css += scopeDocumentCss(documentStyleSettings.customCss, scope);
+    return css.replace(/<\/style/gi, '<\\/style');
+}
+
+/**
+ * 把文档样式应用到预览区
+ * 
+ * 选择器前加 body 以覆盖 style.css 中 body.theme-* #preview 一类的规则；
+ * 深色样式限定在 body.dark-mode 下；自定义 CSS 多加一个类，在深色模式下也能覆盖主题。
+ */
+function applyDocumentStyle() {
+    const theme = DOCUMENT_THEMES[documentStyleSettings.theme];
+    const lightScope = 'body #preview.markdown-body';
+    const darkScope = 'body.dark-mode #preview.markdown-body';
+    
+    let css = '';
+    if (!theme.appStyle) {
+        // 导出中没有 "Code" 角标，其他主题的预览也不显示
+        css += scopeDocumentCss(theme.css + 'pre::before { content: none; }', lightScope) +
+            scopeDocumentCss(theme.darkCss, darkScope);
+    }
+    css += scopeDocumentCss(buildCodeThemeCss(documentStyleSettings.codeThemeLight), lightScope) +
+        scopeDocumentCss(buildCodeThemeCss(documentStyleSettings.codeThemeDark), darkScope) +
+        scopeDocumentCss(documentStyleSettings.customCss, `${lightScope}.markdown-body`);
+    documentStyleElement.textContent = css;
+}
+
+/**
+ * 为复制的富文本 HTML 写入行内样式
+ * 
+ * 在页面外按浅色文档样式渲染一份，把计算后的样式写入各元素的 style 属性。
+ * 可继承的属性只在与父元素不同时写入，其余属性只写入非默认值。
+ * 
+ * @param {string} html - getExportPreviewHtml 的结果
+ * @returns {string} 包在带样式的 div 中的 HTML
+ */
+function inlineDocumentStyles(html) {
+    const theme = DOCUMENT_THEMES[documentStyleSettings.theme];
+    const host = document.createElement('div');
+    host.style.cssText = 'position: absolute; left: -9999px; top: 0; width: 800px;';
+    const style = document.createElement('style');
+    style.textContent = scopeDocumentCss(
+        DOCUMENT_BASE_CSS + theme.css + buildCodeThemeCss(documentStyleSettings.codeThemeLight) + documentStyleSettings.customCss,
+        '.document-style-sandbox'
+    );
+    const root = document.createElement('div');
+    root.className = 'document-style-sandbox';
+    root.innerHTML = html;
+    host.append(style, root);
+    document.body.appendChild(host);
+    
+    const elements = [root, ...root.querySelectorAll('*')];
+    const computed = new Map(elements.map(element => [element, getComputedStyle(element)]));
+    const declarations = elements.map(element => {
+        const styles = computed.get(element);
+        const parentStyles = element === root ? null : computed.get(element.parentElement);
+        return INLINE_STYLE_PROPERTIES.filter(property => {
+            const value = styles.getPropertyValue(property);
+            if (!value) return false;
+            if (INHERITED_STYLE_PROPERTIES.includes(property)) {
+                return !parentStyles || parentStyles.getPropertyValue(property) !== value;
+            }
+            return !/^(0px|none|normal|auto|transparent|rgba\(0, 0, 0, 0\))$/.test(value) && !/^0px none/.test(value);
+        }).map(property => `${property}: ${styles.getPropertyValue(property)}`);
+    });
+    host.remove();
+    
+    elements.forEach((element, index) => {
+        if (declarations[index].length > 0) {
+            element.setAttribute('style', `${declarations[index].join('; ')};${element.getAttribute('style') || ''}`);
+        }
+    });
+    root.removeAttribute('class');
+    return root.outerHTML;
+}
+
+/**
+ * 同步设置面板中的文档样式控件
+ */
+function fillDocumentStyleForm() {
+    documentThemeSelect.value = documentStyleSettings.theme;
+    codeThemeLightSelect.value = documentStyleSettings.codeThemeLight;
+    codeThemeDarkSelect.value = documentStyleSettings.codeThemeDark;
+    customCssInput.value = documentStyleSettings.customCss;
+}
+
+/**
+ * 保存并应用文档样式设置
+ * 
+ * @param {Object} changes - 要修改的项
+ */
+function updateDocumentStyle(changes) {
+    documentStyleSettings = { ...documentStyleSettings, ...changes };
+    localStorage.setItem('documentStyle', JSON.stringify(documentStyleSettings));
+    applyDocumentStyle();
+}
+
+const documentThemeSelect = document.getElementById('document-theme-select');
+const codeThemeLightSelect = document.getElementById('code-theme-light-select');
+const codeThemeDarkSelect = document.getElementById('code-theme-dark-select');
+const customCssInput = document.getElementById('custom-css-input');
+
+documentThemeSelect.addEventListener('change', () => updateDocumentStyle({ theme: documentThemeSelect.value }));
+codeThemeLightSelect.addEventListener('change', () => updateDocumentStyle({ codeThemeLight: codeThemeLightSelect.value }));
+codeThemeDarkSelect.addEventListener('change', () => updateDocumentStyle({ codeThemeDark: codeThemeDarkSelect.value }));
+
+document.getElementById('custom-css-save-btn').addEventListener('click', function() {
+    updateDocumentStyle({ customCss: customCssInput.value });
+    showToast('自定义 CSS 已应用');
+});
+
+document.getElementById('custom-css-reset-btn').addEventListener('click', function() {
+    updateDocumentStyle({ customCss: '' });
+    fillDocumentStyleForm();
+    showToast('自定义 CSS 已清空');
+});
+
+preview.classList.add('markdown-body');
+fillDocumentStyleForm();
+applyDocumentStyle();
+
+// ========================================
+// 文档元数据 (YAML front matter)
+// ========================================
+// 文档开头 --- 之间的 YAML 由渲染管线解析（见 markdown-pipeline.js），预览中显示为信息卡片。
+// 导出时其中的字段用于 <title>、meta 标签、下载文件名和可选的标题块。
+let exportTitleBlockEnabled = localStorage.getItem('exportTitleBlock') === 'true';
+
+/**
+ * 读取当前文档 front matter 中的常用字段
+ * 
+ * @returns {{title: string, author: string, date: string, tags: string[], description: string}}
+ */
+function getDocumentMetadata() {
+    const frontMatter = extractFrontMatter(editor.value);
+    const data = frontMatter ? frontMatter.data : {};
+    const text = value => Array.isArray(value) ? value.join('、') : (value == null ? '' : String(value).trim());
+    const tags = Array.isArray(data.tags) ? data.tags : text(data.tags).split(/[,，]/);
+    
+    return {
+        title: text(data.title),
+        author: text(data.author),
+        date: text(data.date),
+        tags: tags.map(tag => String(tag).trim()).filter(Boolean),
+        description: text(data.description)
+    };
+}
+
+/**
+ * 生成导出文件名：有元数据标题时使用标题，否则使用时间戳
+ * 
+ * @param {string} extension - 扩展名（不含点）
+ * @returns {string}
+ */
+function getExportFileName(extension) {
+    const title = getDocumentMetadata().title.replace(/[\\/:*?"<>|\x00-\x1f]/g, '').trim().slice(0, 100);
+    return `${title || 'document-' + Date.now()}.${extension}`;
+}
+
+/**
+ * 生成导出 HTML 中 <head> 的标题和 meta 标签
+ * 
+ * @param {Object} metadata - getDocumentMetadata() 的结果
+ * @returns {string}
+ */
+function buildExportHeadTags(metadata) {
+    const doc = getActiveDocument();
+    const tags = [`<title>${escapeHtml(metadata.title || (doc && doc.title) || '文档')}</title>`];
+    if (metadata.author) tags.push(`<meta name="author" content="${escapeHtml(metadata.author)}">`);
+    if (metadata.description) tags.push(`<meta name="description" content="${escapeHtml(metadata.description)}">`);
+    if (metadata.tags.length > 0) tags.push(`<meta name="keywords" content="${escapeHtml(metadata.tags.join(', '))}">`);
+    if (metadata.date) tags.push(`<meta name="date" content="${escapeHtml(metadata.date)}">`);
+    return tags.join('\n    ');
+}
+
+/**
+ * 生成导出 HTML 正文前的标题块，未开启或没有标题时返回空字符串
+ * 
+ * @param {Object} metadata - getDocumentMetadata() 的结果
+ * @returns {string}
+ */
+function buildExportTitleBlock(metadata) {
+    if (!exportTitleBlockEnabled || !metadata.title) return '';
+    
+    const byline = [metadata.author, metadata.date].filter(Boolean).map(escapeHtml).join(' · ');
+    return `<header class="title-block">
+    <h1 class="title-block-title">${escapeHtml(metadata.title)}</h1>
+    ${byline ? `<p class="title-block-byline">${byline}</p>` : ''}
+    ${metadata.description ? `<p class="title-block-description">${escapeHtml(metadata.description)}</p>` : ''}
+</header>
+`;
+}
+
+const exportTitleBlockToggle = document.getElementById('export-title-block-toggle');
+exportTitleBlockToggle.querySelector('.toggle-switch').classList.toggle('active', exportTitleBlockEnabled);
+exportTitleBlockToggle.setAttribute('aria-checked', String(exportTitleBlockEnabled));
+
+exportTitleBlockToggle.addEventListener('click', function() {
+    exportTitleBlockEnabled = !exportTitleBlockEnabled;
+    localStorage.setItem('exportTitleBlock', String(exportTitleBlockEnabled));
+    this.querySelector('.toggle-switch').classList.toggle('active', exportTitleBlockEnabled);
+    this.setAttribute('aria-checked', String(exportTitleBlockEnabled));
+    showToast(exportTitleBlockEnabled ? '导出 HTML 时将添加标题块' : '导出 HTML 时不再添加标题块');
+});
+
+exportTitleBlockToggle.addEventListener('keydown', function(e) {
+    if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        this.click();
+    }
+});
+
+// 导出页面中为代码块添加复制按钮的脚本（与预览中的 addCodeCopyButtons 对应）
+const EXPORT_CODE_COPY_SCRIPT = `
+    document.querySelectorAll('.code-block').forEach(function (block) {
+        var button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'code-copy-btn';
+        button.textContent = '复制';
+        button.addEventListener('click', function () {
+            navigator.clipboard.writeText(block.querySelector('code').textContent).then(function () {
+                button.textContent = '已复制';
+                setTimeout(function () { button.textContent = '复制'; }, ${CODE_COPY_FEEDBACK_DURATION});
+            });
+        });
+        block.appendChild(button);
+    });`;
+
+// 保存为HTML格式
+document.getElementById('save-html-btn').addEventListener('click', async function() {
+    // 本地图片以 data: URL 内嵌，导出的文件可以单独打开；先等待图表渲染完成
+    await waitForDiagrams();
+    const htmlContent = await inlineAssetImages(getExportPreviewHtml());
+    const metadata = getDocumentMetadata();
+    const fullHtml = `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    ${buildExportHeadTags(metadata)}
+    <style>${buildExportDocumentCss()}
+    </style>
+</head>
+<body>
+${buildExportTitleBlock(metadata)}${htmlContent}
+<script>${EXPORT_CODE_COPY_SCRIPT}
+</script>
+</body>
+</html>`;
+    
+    const blob = new Blob([fullHtml], { type: 'text/html;charset=utf-8' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = getExportFileName('html');
+    link.click();
+    URL.revokeObjectURL(link.href);
+    
+    countSavedFile();
+});
+
+/**
+ * 已保存文件计数加一并更新统计
+ */
+function countSavedFile() {
+    savedFileCount++;
+    localStorage.setItem('savedFileCount', savedFileCount);
+    updateStats();
+}
+
+// 日期时间插入功能
+const datetimeBtn = document.getElementById('datetime-btn');
+
+if (datetimeBtn) {
+    datetimeBtn.addEventListener('click', function() {
+        const now = new Date();
+        const year = now.getFullYear();
+        const month = String(now.getMonth() + 1).padStart(2, '0');
+        const day = String(now.getDate()).padStart(2, '0');
+        const hours = String(now.getHours()).padStart(2, '0');
+        const minutes = String(now.getMinutes()).padStart(2, '0');
+        const seconds = String(now.getSeconds()).padStart(2, '0');
+        
+        const datetimeStr = `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
+        
+        editor.focus();
+        editorReplaceRange(editor.selectionStart, editor.selectionEnd, datetimeStr);
+        
+        showToast('已插入日期时间');
+    });
+}
+
+// ========================================
+// 本地文件读写 (File System Access API)
+// ========================================
+// 支持该 API 的浏览器可以直接打开并写回磁盘上的文件；
+// 不支持时回退到文件选择框导入和下载保存。
+const RECENT_FILES_MAX = 10;
+const MARKDOWN_FILE_TYPES = [
+    { description: 'Markdown 文件', accept: { 'text/markdown': ['.md', '.markdown'] } },
+    { description: '文本文件', accept: { 'text/plain': ['.txt'] } }
+];
+const supportsFileSystemAccess = 'showOpenFilePicker' in window && 'showSaveFilePicker' in window;
+
+const importMdBtn = document.getElementById('import-md-btn');
+const mdFileInput = document.getElementById('md-file-input');
+const saveMdBtn = document.getElementById('save-md-btn');
+const saveAsBtn = document.getElementById('save-as-btn');
+const recentFilesBtn = document.getElementById('recent-files-btn');
+const recentFilesMenu = document.getElementById('recent-files-menu');
+
+// 文件记录（含文件句柄），按最近打开时间倒序: { id, name, handle, openedAt }
+// openedAt 为 0 表示已从最近列表中清除，但仍被某个文档引用
+let fileRecords = [];
+
+/**
+ * 去掉 Markdown/文本文件的扩展名，作为文档标题
+ * 
+ * @param {string} fileName - 文件名
+ * @returns {string} 文档标题
+ */
+function getFileBaseName(fileName) {
+    return fileName.replace(/\.(md|markdown|txt)$/i, '') || getNextUntitledTitle();
+}
+
+/**
+ * 获取文档关联的文件记录
+ * 
+ * @param {Object} doc - 文档对象
+ * @returns {Object|null} 文件记录
+ */
+function getDocumentFileRecord(doc) {
+    return doc.fileId ? fileRecords.find(r => r.id === doc.fileId) || null : null;
+}
+
+/**
+ * 将文档与磁盘文件关联，并标记为已保存
+ * 
+ * @param {Object} doc - 文档对象
+ * @param {Object} record - 文件记录
+ */
+function linkDocumentToFile(doc, record) {
+    doc.fileId = record.id;
+    doc.fileName = record.name;
+    doc.dirty = false;
+    persistDocuments();
+    renderDocumentTabs();
+}
+
+/**
+ * 确认对文件句柄拥有指定权限，必要时向用户申请
+ * 
+ * @param {FileSystemFileHandle} handle - 文件句柄
+ * @param {string} mode - 'read' 或 'readwrite'
+ * @returns {Promise<boolean>} 是否已获得权限
+ */
+async function ensureFilePermission(handle, mode) {
+    const options = { mode };
+    if (await handle.queryPermission(options) === 'granted') return true;
+    return await handle.requestPermission(options) === 'granted';
+}
+
+/**
+ * 把文件记入最近文件列表
+ * 
+ * 同一文件只保留一条记录。
+ * 
+ * @param {FileSystemFileHandle} handle - 文件句柄
+ * @returns {Promise<Object>} 文件记录
+ */
+async function rememberFile(handle) {
+    let record = null;
+    for (const r of fileRecords) {
+        if (await r.handle.isSameEntry(handle)) {
+            record = r;
+            break;
+        }
+    }
+    
+    if (record) {
+        record.name = handle.name;
+        record.handle = handle;
+        record.openedAt = Date.now();
+        await storagePutRecord('files', record);
+    } else {
+        record = { name: handle.name, handle, openedAt: Date.now() };
+        record.id = await storageAddRecord('files', record);
+        fileRecords.push(record);
+    }
+    
+    fileRecords.sort((a, b) => b.openedAt - a.openedAt);
+    await pruneFileRecords();
+    renderRecentFiles();
+    return record;
+}
+
+/**
+ * 删除超出最近列表上限且没有文档引用的文件记录
+ * 
+ * @returns {Promise<void>}
+ */
+function pruneFileRecords() {
+    const isReferenced = record => documents.some(d => d.fileId === record.id);
+    const stale = fileRecords.filter((record, index) =>
+        (index >= RECENT_FILES_MAX || !record.openedAt) && !isReferenced(record));
+    
+    fileRecords = fileRecords.filter(r => !stale.includes(r));
+    return storageDeleteRecords('files', stale.map(r => r.id));
+}
+
+/**
+ * 从存储层加载文件记录
+ */
+async function loadFileRecords() {
+    try {
+        fileRecords = await storageGetAllRecords('files');
+        fileRecords.sort((a, b) => b.openedAt - a.openedAt);
+    } catch (e) {
+        console.error('读取最近文件失败:', e);
+        fileRecords = [];
+    }
+    renderRecentFiles();
+}
+
+/**
+ * 渲染最近文件菜单
+ */
+function renderRecentFiles() {
+    const fragment = document.createDocumentFragment();
+    const recent = fileRecords.filter(r => r.openedAt).slice(0, RECENT_FILES_MAX);
+    
+    if (recent.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'recent-files-empty';
+        empty.textContent = '暂无最近打开的文件';
+        fragment.appendChild(empty);
+    }
+    
+    recent.forEach(record => {
+        const item = document.createElement('button');
+        item.className = 'recent-file-item';
+        item.dataset.id = record.id;
+        item.setAttribute('role', 'menuitem');
+        
+        const name = document.createElement('span');
+        name.className = 'recent-file-name';
+        name.textContent = record.name;
+        
+        const time = document.createElement('span');
+        time.className = 'recent-file-time';
+        time.textContent = new Date(record.openedAt).toLocaleString();
+        
+        item.appendChild(name);
+        item.appendChild(time);
+        fragment.appendChild(item);
+    });
+    
+    if (recent.length > 0) {
+        const clear = document.createElement('button');
+        clear.className = 'recent-files-clear';
+        clear.textContent = '清除列表';
+        fragment.appendChild(clear);
+    }
+    
+    recentFilesMenu.innerHTML = '';
+    recentFilesMenu.appendChild(fragment);
+}
+
+/**
+ * 清除最近文件列表
+ * 
+ * 仍被文档引用的记录会保留（用于保存），只是不再显示在列表中。
+ */
+async function clearRecentFiles() {
+    fileRecords.forEach(record => record.openedAt = 0);
+    try {
+        await Promise.all(fileRecords.map(record => storagePutRecord('files', record)));
+        await pruneFileRecords();
+    } catch (e) {
+        console.error('清除最近文件失败:', e);
+    }
+    renderRecentFiles();
+}
+
+/**
+ * 打开文件
+ * 
+ * 不支持 File System Access API 时使用隐藏的文件选择框。
+ */
+async function openFile() {
+    if (!supportsFileSystemAccess) {
+        mdFileInput.click();
+        return;
+    }
+    
+    let handle;
+    try {
+        [handle] = await window.showOpenFilePicker({ types: MARKDOWN_FILE_TYPES });
+    } catch (e) {
+        // 用户取消选择
+        if (e.name !== 'AbortError') {
+            showToast(`打开文件失败：${e.message}`);
+        }
+        return;
+    }
+    await openFileHandle(handle);
+}
+
+/**
+ * 在新标签中打开文件句柄对应的文件
+ * 
+ * 文件已在某个标签中打开时切换过去；该标签没有未保存的修改时同时载入磁盘上的最新内容。
+ * 
+ * @param {FileSystemFileHandle} handle - 文件句柄
+ */
+async function openFileHandle(handle) {
+    let text, record;
+    try {
+        if (!await ensureFilePermission(handle, 'read')) {
+            showToast('没有读取该文件的权限');
+            return;
+        }
+        text = await (await handle.getFile()).text();
+        record = await rememberFile(handle);
+    } catch (e) {
+        showToast(`打开文件失败：${e.message}`, 5000);
+        return;
+    }
+    
+    const opened = documents.find(d => d.fileId === record.id);
+    if (opened) {
+        switchDocument(opened.id);
+        if (opened.dirty) {
+            showToast(`${record.name} 已在标签中打开，且有未保存的修改`);
+            return;
+        }
+        setEditorValue(text);
+        linkDocumentToFile(opened, record);
+        showToast(`已切换到 ${record.name}`);
+        return;
+    }
+    
+    const doc = addDocument(getFileBaseName(record.name), text);
+    linkDocumentToFile(doc, record);
+    showToast(`已打开文件: ${record.name}`);
+}
+
+/**
+ * 把编辑器内容写入文件
+ * 
+ * @param {FileSystemFileHandle} handle - 文件句柄
+ * @returns {Promise<boolean>} 是否写入成功
+ */
+async function writeEditorToFile(handle) {
+    try {
+        if (!await ensureFilePermission(handle, 'readwrite')) {
+            showToast('没有写入该文件的权限');
+            return false;
+        }
+        const writable = await handle.createWritable();
+        await writable.write(editor.value);
+        await writable.close();
+        return true;
+    } catch (e) {
+        showToast(`保存文件失败：${e.message}`, 5000);
+        return false;
+    }
+}
+
+/**
+ * 以下载方式保存 Markdown（不支持 File System Access API 时使用）
+ * 
+ * @param {Object} doc - 当前文档
+ */
+function downloadMarkdown(doc) {
+    const blob = new Blob([editor.value], { type: 'text/markdown;charset=utf-8' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = doc.fileName || getExportFileName('md');
+    link.click();
+    URL.revokeObjectURL(link.href);
+    
+    if (doc.dirty) {
+        doc.dirty = false;
+        persistDocuments();
+        renderDocumentTabs();
+    }
+    countSavedFile();
+    showToast('已保存为Markdown文件');
+}
+
+/**
+ * 保存当前文档
+ * 
+ * 已关联文件的文档写回原文件，否则转为"另存为"。
+ */
+async function saveFile() {
+    const doc = getActiveDocument();
+    if (!doc) return;
+    
+    if (!supportsFileSystemAccess) {
+        downloadMarkdown(doc);
+        return;
+    }
+    
+    const record = getDocumentFileRecord(doc);
+    if (!record) {
+        await saveFileAs();
+        return;
+    }
+    
+    if (await writeEditorToFile(record.handle)) {
+        await rememberFile(record.handle);
+        linkDocumentToFile(doc, record);
+        countSavedFile();
+        showToast(`已保存到 ${record.name}`);
+    }
+}
+
+/**
+ * 将当前文档另存为新文件，之后的保存都写入该文件
+ */
+async function saveFileAs() {
+    const doc = getActiveDocument();
+    if (!doc) return;
+    
+    if (!supportsFileSystemAccess) {
+        downloadMarkdown(doc);
+        return;
+    }
+    
+    let handle;
+    try {
+        handle = await window.showSaveFilePicker({
+            suggestedName: doc.fileName || `${doc.title}.md`,
+            types: MARKDOWN_FILE_TYPES
+        });
+    } catch (e) {
+        if (e.name !== 'AbortError') {
+            showToast(`保存文件失败：${e.message}`);
+        }
+        return;
+    }
+    
+    if (await writeEditorToFile(handle)) {
+        const record = await rememberFile(handle);
+        doc.title = getFileBaseName(record.name);
+        linkDocumentToFile(doc, record);
+        countSavedFile();
+        showToast(`已保存到 ${record.name}`);
+    }
+}
+
+importMdBtn.addEventListener('click', openFile);
+saveMdBtn.addEventListener('click', saveFile);
+saveAsBtn.addEventListener('click', saveFileAs);
+
+// 回退：通过文件选择框导入
+mdFileInput.addEventListener('change', function(e) {
+    const file = e.target.files[0];
+    if (file) {
+        const reader = new FileReader();
+        reader.onload = function(event) {
+            // 在新标签中打开导入的文件，不覆盖当前文档
+            const doc = addDocument(getFileBaseName(file.name), event.target.result);
+            doc.fileName = file.name;
+            doc.dirty = false;
+            persistDocuments();
+            renderDocumentTabs();
+            showToast(`已导入文件: ${file.name}`);
+        };
+        reader.readAsText(file);
+    }
+    // 清空文件输入，允许重复导入同一文件
+    mdFileInput.value = '';
+});
+
+// 编辑关联了文件的文档时标记为未保存
+editor.addEventListener('input', function() {
+    const doc = getActiveDocument();
+    if (doc && doc.fileName && !doc.dirty) {
+        doc.dirty = true;
+        renderDocumentTabs();
+    }
+});
+
+// 最近文件菜单
+if (supportsFileSystemAccess) {
+    recentFilesBtn.addEventListener('click', function(e) {
+        e.stopPropagation();
+        recentFilesMenu.classList.toggle('show');
+    });
+    
+    recentFilesMenu.addEventListener('click', function(e) {
+        e.stopPropagation();
+        recentFilesMenu.classList.remove('show');
+        
+        if (e.target.closest('.recent-files-clear')) {
+            clearRecentFiles();
+            return;
+        }
+        
+        const item = e.target.closest('.recent-file-item');
+        if (item) {
+            const record = fileRecords.find(r => r.id === Number(item.dataset.id));
+            if (record) {
+                openFileHandle(record.handle);
             }
-            
-            const date = new Date(progress.timestamp);
-            showToast(`进度已恢复 - ${date.toLocaleString()}`);
         }
     });
+    
+    document.addEventListener('click', function() {
+        recentFilesMenu.classList.remove('show');
+    });
+    
+    storageReady.then(loadFileRecords);
+} else {
+    recentFilesBtn.parentElement.style.display = 'none';
+    saveAsBtn.dataset.tooltip = '当前浏览器不支持直接写入文件，将以下载方式保存';
 }
 
-// 深色模式切换功能
-const themeToggle = document.getElementById('theme-toggle');
-const themeIcon = document.querySelector('.theme-icon');
-
-// 设置按钮
-const settingsToggle = document.getElementById('settings-toggle');
+// ========================================
+// 本地图片资源
+// ========================================
+// 图片以 Blob 形式保存在 IndexedDB 中，文档里用 asset://id 引用，
+// 预览时再替换为 blob: URL。
+const ASSET_URL_PREFIX = 'asset://';
 
-// 从localStorage加载主题设置
-const savedTheme = localStorage.getItem('theme');
+// 已解析的资源 URL: assetId -> blob URL
+const assetUrlCache = new Map();
 
-if (savedTheme === 'dark') {
-    document.body.classList.add('dark-mode');
-    themeIcon.textContent = '☀️';
+/**
+ * 生成资源 ID
+ * 
+ * @returns {string} 短 ID
+ */
+function generateAssetId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
 }
 
-themeToggle.addEventListener('click', function() {
-    document.body.classList.toggle('dark-mode');
-    const isDarkMode = document.body.classList.contains('dark-mode');
-    
-    // 更新图标
-    themeIcon.textContent = isDarkMode ? '☀️' : '🌙';
-    
-    // 保存主题设置
-    localStorage.setItem('theme', isDarkMode ? 'dark' : 'light');
-    
-    // 重新调整画布大小（因为背景色变化）
-    if (canvas) {
-        setTimeout(resizeCanvas, 100);
-    }
-});
-
-// 监听编辑器输入，实时更新预览
-// 优化：使用更高效的节流处理Markdown解析，减少频繁的DOM更新
-// 使用缓存机制避免重复解析相同内容
-let lastMarkdownContent = '';
-let cachedPreviewHTML = '';
+/**
+ * 保存图片资源
+ * 
+ * @param {Blob} blob - 图片数据
+ * @param {string} name - 原始文件名
+ * @returns {Promise<string>} 资源 ID
+ */
+async function saveAsset(blob, name) {
+    const id = generateAssetId();
+    await storagePutRecord('assets', {
+        id,
+        blob,
+        name,
+        type: blob.type,
+        size: blob.size,
+        createdAt: Date.now()
+    });
+    return id;
+}
 
-const throttledUpdatePreview = throttle(function() {
-    const markdown = editor.value;
-    
-    // 缓存优化：如果内容未变化，不重新解析
-    if (markdown === lastMarkdownContent && cachedPreviewHTML) {
-        return;
+/**
+ * 获取资源对应的 blob URL
+ * 
+ * @param {string} id - 资源 ID
+ * @returns {Promise<string|null>} blob URL，资源不存在时为 null
+ */
+async function getAssetUrl(id) {
+    if (assetUrlCache.has(id)) {
+        return assetUrlCache.get(id);
     }
     
-    lastMarkdownContent = markdown;
+    const record = await storageGetRecord('assets', id);
+    if (!record) return null;
     
-    // 使用 requestAnimationFrame 优化渲染时机
-    requestAnimationFrame(() => {
-        try {
-            cachedPreviewHTML = marked.parse(markdown);
-            // 使用 DocumentFragment 减少重排
-            const tempDiv = document.createElement('div');
-            tempDiv.innerHTML = cachedPreviewHTML;
-            preview.innerHTML = '';
-            preview.appendChild(tempDiv.firstChild);
-        } catch (e) {
-            console.error('Markdown解析错误:', e);
+    const url = URL.createObjectURL(record.blob);
+    assetUrlCache.set(id, url);
+    return url;
+}
+
+/**
+ * 把容器中 asset:// 图片替换为可显示的 blob URL
+ * 
+ * 已缓存的资源同步替换，避免图片闪烁；其余资源读取后再替换。
+ * 
+ * @param {HTMLElement} root - 预览容器
+ */
+function resolveAssetImages(root) {
+    root.querySelectorAll(`img[src^="${ASSET_URL_PREFIX}"]`).forEach(img => {
+        const id = img.getAttribute('src').slice(ASSET_URL_PREFIX.length);
+        img.dataset.assetId = id;
+        
+        if (assetUrlCache.has(id)) {
+            img.src = assetUrlCache.get(id);
+            return;
         }
         
-        // 更新行列号
-        updateLineColumnInfo();
+        img.removeAttribute('src');
+        getAssetUrl(id).then(url => {
+            if (url) {
+                img.src = url;
+            } else {
+                img.classList.add('asset-missing');
+                img.alt = `图片资源不存在: ${id}`;
+            }
+        }).catch(e => console.error('读取图片资源失败:', e));
     });
-}, 200);
-
-editor.addEventListener('input', throttledUpdatePreview);
+}
 
-// 监听编辑器选择变化，更新行列号
-editor.addEventListener('keyup', function() {
-    updateLineColumnInfo();
-});
+/**
+ * 生成图片资源的 Markdown 引用
+ * 
+ * @param {string} id - 资源 ID
+ * @param {string} name - 文件名，去掉扩展名后作为替代文本
+ * @returns {string} Markdown 图片语法
+ */
+function buildAssetMarkdown(id, name) {
+    const alt = name.replace(/\.[^.]+$/, '').replace(/[\[\]]/g, '');
+    return `![${alt}](${ASSET_URL_PREFIX}${id})`;
+}
 
-editor.addEventListener('click', function() {
-    updateLineColumnInfo();
-});
+/**
+ * 读取 Blob 为 data: URL
+ * 
+ * @param {Blob} blob - 数据
+ * @returns {Promise<string>} data URL
+ */
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
 
 /**
- * 更新编辑器状态栏的行列号信息
+ * 把 HTML 中的本地图片替换为内嵌的 data: URL，用于导出独立文件
  * 
- * 根据当前光标位置计算行号和列号，并更新到状态栏显示。
- * 行号从1开始计数，列号从0开始计数。
+ * @param {string} html - 预览 HTML
+ * @returns {Promise<string>} 图片已内嵌的 HTML
  */
-function updateLineColumnInfo() {
-    const cursorPos = editor.selectionStart;
-    const textBeforeCursor = editor.value.substring(0, cursorPos);
-    const lines = textBeforeCursor.split('\n');
-    const line = lines.length;
-    const col = lines[lines.length - 1].length + 1;
+async function inlineAssetImages(html) {
+    const container = document.createElement('div');
+    container.innerHTML = html;
     
-    const lineColInfo = document.getElementById('line-col-info');
-    if (lineColInfo) {
-        lineColInfo.textContent = `行 ${line}, 列 ${col}`;
+    for (const img of container.querySelectorAll('img[data-asset-id]')) {
+        const record = await storageGetRecord('assets', img.dataset.assetId);
+        if (record) {
+            img.src = await blobToDataUrl(record.blob);
+        }
+        img.removeAttribute('data-asset-id');
+        img.classList.remove('asset-missing');
     }
+    return container.innerHTML;
 }
 
-// ========================================
-// 快速编辑功能
-// ========================================
-// 优化：使用事件委托代替为每个按钮单独添加监听器
-const quickEditToolbar = document.querySelector('.quick-edit-toolbar');
-
-quickEditToolbar.addEventListener('click', function(e) {
-    const btn = e.target.closest('.quick-btn');
-    if (!btn) return;
+/**
+ * 把粘贴的图片保存为本地资源并插入到光标处
+ * 
+ * @param {File[]} files - 剪贴板中的图片
+ */
+async function pasteImages(files) {
+    const refs = [];
     
-    const action = btn.dataset.action;
-    if (action) {
-        insertMarkdown(action);
+    try {
+        for (const file of files) {
+            const id = await saveAsset(file, file.name || 'image.png');
+            refs.push(buildAssetMarkdown(id, file.name || 'image.png'));
+        }
+    } catch (e) {
+        console.error('保存粘贴的图片失败:', e);
+        showToast(`粘贴图片失败：${describeStorageError(e)}`, 5000);
+        return;
     }
+    
+    editorReplaceRange(editor.selectionStart, editor.selectionEnd, refs.join('\n'));
+    showToast(files.length > 1 ? `已粘贴 ${files.length} 张图片` : '已粘贴图片');
+}
+
+// 粘贴图片：剪贴板中同时有纯文本时（例如从 Word 复制）按文本粘贴
+editor.addEventListener('paste', function(e) {
+    if (!e.clipboardData || Array.from(e.clipboardData.types).includes('text/plain')) return;
+    
+    const images = Array.from(e.clipboardData.files).filter(f => f.type.startsWith('image/'));
+    if (images.length === 0) return;
+    
+    e.preventDefault();
+    pasteImages(images);
 });
 
+// ----------------------------------------
+// 未使用资源回收
+// ----------------------------------------
+const ASSET_REFERENCE_PATTERN = /asset:\/\/([a-z0-9]+)/g;
+const ASSET_GC_GRACE_PERIOD = 24 * 60 * 60 * 1000; // 新资源至少保留 1 天，避免误删刚剪切走的图片
+const ASSET_GC_DELAY = 10000; // 文档读入后延迟回收，不影响首屏
+const ASSET_CLAIM_TIMEOUT = 500; // 等待其他标签页报告所引用资源的时间
+const ASSET_CLAIM_CHANNEL_NAME = 'cool-markdown-assets';
+
+// 其他标签页可能有尚未保存的文档和撤销记录，回收前通过该频道询问它们仍在引用的资源
+const assetClaimChannel = 'BroadcastChannel' in window ? new BroadcastChannel(ASSET_CLAIM_CHANNEL_NAME) : null;
+
 /**
- * 在编辑器中插入 Markdown 语法
+ * 收集文本中引用的资源 ID
  * 
- * 根据指定的操作类型，在当前光标位置插入相应的 Markdown 语法。
- * 如果选中有文本，则对选中的文本应用格式；如果没有选中文本，
- * 则插入带默认文本的格式占位符。
+ * @param {string} text - 文本
+ * @param {Set<string>} ids - 收集结果
+ */
+function collectAssetReferences(text, ids) {
+    if (!text) return;
+    for (const match of text.matchAll(ASSET_REFERENCE_PATTERN)) {
+        ids.add(match[1]);
+    }
+}
+
+/**
+ * 收集本标签页内存中引用的资源：打开的文档（含未保存的修改）和撤销记录
  * 
- * @param {string} action - 操作类型，可选值：
- *   - 'bold': 粗体
- *   - 'italic': 斜体
- *   - 'strikethrough': 删除线
- *   - 'h1', 'h2', 'h3': 标题
- *   - 'ul': 无序列表
- *   - 'ol': 有序列表
- *   - 'checkbox': 复选框
- *   - 'code': 行内代码
- *   - 'codeblock': 代码块
- *   - 'quote': 引用
- *   - 'link': 链接
- *   - 'image': 图片
- *   - 'table': 表格
- *   - 'hr': 水平分割线
+ * @returns {Set<string>} 资源 ID
  */
-function insertMarkdown(action) {
-    const start = editor.selectionStart;
-    const end = editor.selectionEnd;
-    const selectedText = editor.value.substring(start, end);
-    const beforeText = editor.value.substring(0, start);
-    const afterText = editor.value.substring(end);
+function collectLocalAssetReferences() {
+    captureActiveDocumentState();
     
-    let newText = '';
-    let cursorOffset = 0;
+    const referenced = new Set();
+    documents.forEach(doc => collectAssetReferences(doc.content, referenced));
+    undoHistories.forEach(history => {
+        [...history.undoStack, ...history.redoStack].forEach(entry => {
+            collectAssetReferences(entry.removed, referenced);
+            collectAssetReferences(entry.inserted, referenced);
+        });
+    });
+    return referenced;
+}
+
+/**
+ * 询问其他标签页仍在引用的资源
+ * 
+ * @returns {Promise<Set<string>>} 在等待时间内收到的所有资源 ID
+ */
+function requestAssetClaims() {
+    const claimed = new Set();
+    if (!assetClaimChannel) return Promise.resolve(claimed);
     
-    switch(action) {
-        case 'bold':
-            newText = `**${selectedText || '粗体文本'}**`;
-            cursorOffset = selectedText ? newText.length : 2;
-            break;
-        case 'italic':
-            newText = `*${selectedText || '斜体文本'}*`;
-            cursorOffset = selectedText ? newText.length : 1;
-            break;
-        case 'strikethrough':
-            newText = `~~${selectedText || '删除线文本'}~~`;
-            cursorOffset = selectedText ? newText.length : 2;
-            break;
-        case 'h1':
-            newText = `# ${selectedText || '标题1'}`;
-            cursorOffset = newText.length;
-            break;
-        case 'h2':
-            newText = `## ${selectedText || '标题2'}`;
-            cursorOffset = newText.length;
-            break;
-        case 'h3':
-            newText = `### ${selectedText || '标题3'}`;
-            cursorOffset = newText.length;
-            break;
-        case 'ul':
-            newText = `- ${selectedText || '列表项'}`;
-            cursorOffset = newText.length;
-            break;
-        case 'ol':
-            newText = `1. ${selectedText || '列表项'}`;
-            cursorOffset = newText.length;
-            break;
-        case 'checkbox':
-            newText = `- [ ] ${selectedText || '待办事项'}`;
-            cursorOffset = newText.length;
-            break;
-        case 'code':
-            newText = `\`${selectedText || '代码'}\``;
-            cursorOffset = selectedText ? newText.length : 1;
-            break;
-        case 'codeblock':
-            newText = `\`\`\`${selectedText ? '' : 'javascript'}\n${selectedText || '代码内容'}\n\`\`\``;
-            cursorOffset = newText.length - 4;
-            break;
-        case 'quote':
-            newText = `> ${selectedText || '引用内容'}`;
-            cursorOffset = newText.length;
-            break;
-        case 'link':
-            newText = `[${selectedText || '链接文本'}](url)`;
-            cursorOffset = selectedText ? newText.length - 4 : 1;
-            break;
-        case 'image':
-            newText = `![${selectedText || '图片描述'}](image_url)`;
-            cursorOffset = selectedText ? newText.length - 9 : 2;
-            break;
-        case 'table':
-            newText = `| 列1 | 列2 | 列3 |\n|-----|-----|-----|\n| 内容 | 内容 | 内容 |\n| 内容 | 内容 | 内容 |`;
-            cursorOffset = newText.length;
-            break;
-        case 'hr':
-            newText = '\n---\n';
-            cursorOffset = newText.length;
-            break;
+    const requestId = generateAssetId();
+    const onMessage = e => {
+        if (e.data && e.data.type === 'claims' && e.data.requestId === requestId) {
+            e.data.ids.forEach(id => claimed.add(id));
+        }
+    };
+    assetClaimChannel.addEventListener('message', onMessage);
+    assetClaimChannel.postMessage({ type: 'request', requestId });
+    
+    return new Promise(resolve => setTimeout(() => {
+        assetClaimChannel.removeEventListener('message', onMessage);
+        resolve(claimed);
+    }, ASSET_CLAIM_TIMEOUT));
+}
+
+if (assetClaimChannel) {
+    assetClaimChannel.addEventListener('message', e => {
+        if (e.data && e.data.type === 'request') {
+            assetClaimChannel.postMessage({ type: 'claims', requestId: e.data.requestId, ids: [...collectLocalAssetReferences()] });
+        }
+    });
+}
+
+/**
+ * 删除没有被任何文档、版本历史、进度快照或撤销记录引用的图片资源
+ * 
+ * 本标签页和其他标签页内存中的引用以及已保存的数据都计入引用。
+ * 
+ * @returns {Promise<{count: number, bytes: number}>} 删除的资源数量和大小
+ */
+async function collectUnusedAssets() {
+    // 文档还没有读入时所有资源都像是未被引用，不能回收
+    if (documents.length === 0) {
+        return { count: 0, bytes: 0 };
     }
     
-    editor.value = beforeText + newText + afterText;
-    editor.focus();
+    const referenced = collectLocalAssetReferences();
+    (await requestAssetClaims()).forEach(id => referenced.add(id));
+    collectAssetReferences(storageGetItem('documents'), referenced);
+    (await storageGetAllRecords('revisions')).forEach(r => collectAssetReferences(r.content, referenced));
+    collectAssetReferences(storageGetItem('progress'), referenced);
     
-    // 设置光标位置
-    const newCursorPos = start + cursorOffset;
-    editor.setSelectionRange(newCursorPos, newCursorPos);
+    const cutoff = Date.now() - ASSET_GC_GRACE_PERIOD;
+    const unused = (await storageGetAllRecords('assets'))
+        .filter(asset => !referenced.has(asset.id) && asset.createdAt < cutoff);
+    
+    await storageDeleteRecords('assets', unused.map(asset => asset.id));
+    unused.forEach(asset => {
+        if (assetUrlCache.has(asset.id)) {
+            URL.revokeObjectURL(assetUrlCache.get(asset.id));
+            assetUrlCache.delete(asset.id);
+        }
+    });
     
-    // 触发input事件更新预览
-    editor.dispatchEvent(new Event('input'));
+    return {
+        count: unused.length,
+        bytes: unused.reduce((sum, asset) => sum + (asset.size || 0), 0)
+    };
 }
 
-// 快捷键支持 - 快速编辑
-editor.addEventListener('keydown', function(e) {
-    // Ctrl+B: 粗体
-    if (e.ctrlKey && e.key === 'b') {
-        e.preventDefault();
-        insertMarkdown('bold');
-    }
-    // Ctrl+I: 斜体
-    if (e.ctrlKey && e.key === 'i') {
-        e.preventDefault();
-        insertMarkdown('italic');
-    }
-    // Ctrl+K: 代码
-    if (e.ctrlKey && e.key === 'k') {
-        e.preventDefault();
-        insertMarkdown('code');
-    }
-    // Ctrl+L: 链接
-    if (e.ctrlKey && e.key === 'l') {
-        e.preventDefault();
-        insertMarkdown('link');
-    }
-    // Tab键：插入4个空格
-    if (e.key === 'Tab') {
-        e.preventDefault();
-        const start = editor.selectionStart;
-        const end = editor.selectionEnd;
-        const beforeText = editor.value.substring(0, start);
-        const afterText = editor.value.substring(end);
-        
-        editor.value = beforeText + '    ' + afterText;
-        editor.focus();
-        editor.setSelectionRange(start + 4, start + 4);
-        editor.dispatchEvent(new Event('input'));
+/**
+ * 在文档读入后延迟回收未使用的资源
+ * 
+ * 不支持 BroadcastChannel 时无法得知其他标签页的引用，不自动回收，只能在设置中手动清理。
+ */
+function scheduleUnusedAssetCollection() {
+    if (!assetClaimChannel) return;
+    setTimeout(() => {
+        collectUnusedAssets().catch(e => console.error('回收图片资源失败:', e));
+    }, ASSET_GC_DELAY);
+}
+
+const cleanAssetsBtn = document.getElementById('clean-assets-btn');
+
+cleanAssetsBtn.addEventListener('click', async function() {
+    try {
+        const { count, bytes } = await collectUnusedAssets();
+        showToast(count > 0 ? `已清理 ${count} 张未使用的图片，释放 ${formatBytes(bytes)}` : '没有需要清理的图片');
+        checkStorageQuota();
+    } catch (e) {
+        console.error('清理图片资源失败:', e);
+        showToast(`清理失败：${describeStorageError(e)}`);
     }
 });
 
-// 保存为HTML格式
-document.getElementById('save-html-btn').addEventListener('click', function() {
-    const htmlContent = preview.innerHTML;
-    const fullHtml = `<!DOCTYPE html>
-<html lang="zh-CN">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>文档</title>
-    <style>
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Microsoft YaHei', sans-serif;
-            max-width: 800px;
-            margin: 40px auto;
-            padding: 20px;
-            line-height: 1.8;
-            color: #333;
-        }
-        h1, h2, h3, h4 {
-            margin-top: 24px;
-            margin-bottom: 16px;
-        }
-        h1 { font-size: 32px; border-bottom: 2px solid #e5e5e5; padding-bottom: 8px; }
-        h2 { font-size: 24px; border-bottom: 1px solid #e5e5e5; padding-bottom: 6px; }
-        h3 { font-size: 20px; }
-        h4 { font-size: 16px; }
-        p { margin: 8px 0; }
-        ul, ol { margin: 8px 0; padding-left: 24px; }
-        li { margin: 4px 0; }
-        code { background: #f5f5f5; padding: 2px 6px; border-radius: 4px; font-family: 'Consolas', 'Monaco', monospace; }
-        pre { background: #f5f5f5; padding: 12px; border-radius: 8px; overflow-x: auto; }
-        pre code { background: none; padding: 0; }
-        blockquote { border-left: 4px solid #ddd; padding-left: 16px; margin: 12px 0; color: #666; }
-        table { width: 100%; border-collapse: collapse; margin: 12px 0; }
-        th, td { border: 1px solid #e5e5e5; padding: 8px 12px; text-align: left; }
-        th { background: #fafafa; }
-        img { max-width: 100%; border-radius: 8px; }
-        hr { border: none; border-top: 1px solid #e5e5e5; margin: 16px 0; }
-        a { color: #333; text-decoration: underline; }
-    </style>
-</head>
-<body>
-${htmlContent}
-</body>
-</html>`;
+// ========================================
+// 拖放导入文件
+// ========================================
+const TEXT_FILE_PATTERN = /\.(md|markdown|txt)$/i;
+
+/**
+ * 判断拖拽内容是否包含文件
+ * 
+ * @param {DragEvent} e - 拖拽事件
+ * @returns {boolean}
+ */
+function isFileDrag(e) {
+    return !!e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+}
+
+/**
+ * 根据屏幕坐标计算编辑器中对应的文本位置
+ * 
+ * textarea 不提供坐标到字符位置的接口，因此在相同位置放一个样式相同的
+ * 透明镜像元素，借助 caretPositionFromPoint/caretRangeFromPoint 求出位置。
+ * 
+ * @param {number} x - clientX
+ * @param {number} y - clientY
+ * @returns {number} 文本偏移量；无法计算时返回当前光标位置
+ */
+function getEditorOffsetFromPoint(x, y) {
+    if (!document.caretPositionFromPoint && !document.caretRangeFromPoint) {
+        return editor.selectionStart;
+    }
     
-    const blob = new Blob([fullHtml], { type: 'text/html;charset=utf-8' });
-    const link = document.createElement('a');
-    link.href = URL.createObjectURL(blob);
-    link.download = 'document-' + Date.now() + '.html';
-    link.click();
-    URL.revokeObjectURL(link.href);
+    const rect = editor.getBoundingClientRect();
+    const style = getComputedStyle(editor);
+    const mirror = document.createElement('div');
+    [
+        'boxSizing', 'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+        'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth', 'borderStyle',
+        'fontFamily', 'fontSize', 'fontWeight', 'lineHeight', 'letterSpacing', 'tabSize', 'overflowY'
+    ].forEach(prop => mirror.style[prop] = style[prop]);
+    Object.assign(mirror.style, {
+        position: 'fixed',
+        left: `${rect.left}px`,
+        top: `${rect.top}px`,
+        width: `${rect.width}px`,
+        height: `${rect.height}px`,
+        whiteSpace: 'pre-wrap',
+        overflowWrap: 'break-word',
+        opacity: '0',
+        zIndex: '2147483647'
+    });
+    mirror.textContent = editor.value;
+    document.body.appendChild(mirror);
+    mirror.scrollTop = editor.scrollTop;
     
-    savedFileCount++;
-    localStorage.setItem('savedFileCount', savedFileCount);
-    updateStats();
-});
+    let offset = editor.selectionStart;
+    try {
+        if (document.caretPositionFromPoint) {
+            const position = document.caretPositionFromPoint(x, y);
+            if (position && mirror.contains(position.offsetNode)) {
+                offset = position.offset;
+            }
+        } else {
+            const range = document.caretRangeFromPoint(x, y);
+            if (range && mirror.contains(range.startContainer)) {
+                offset = range.startOffset;
+            }
+        }
+    } finally {
+        mirror.remove();
+    }
+    return Math.min(offset, editor.value.length);
+}
 
-// 保存为Markdown格式
-document.getElementById('save-md-btn').addEventListener('click', function() {
-    const markdownContent = editor.value;
-    const blob = new Blob([markdownContent], { type: 'text/markdown;charset=utf-8' });
-    const link = document.createElement('a');
-    link.href = URL.createObjectURL(blob);
-    link.download = 'document-' + Date.now() + '.md';
-    link.click();
-    URL.revokeObjectURL(link.href);
+/**
+ * 按顺序处理拖入的文件
+ * 
+ * 图片保存为本地资源并插入引用；Markdown/文本文件在确认后插入到放置位置，
+ * 否则各自在新标签中打开。其他类型的文件会被跳过；读取或保存失败的文件单独提示，
+ * 不影响其余文件。
+ * 
+ * @param {File[]} files - 拖入的文件
+ * @param {number} position - 插入位置
+ */
+async function importDroppedFiles(files, position) {
+    const images = files.filter(f => f.type.startsWith('image/'));
+    const texts = files.filter(f => !f.type.startsWith('image/') && (TEXT_FILE_PATTERN.test(f.name) || f.type.startsWith('text/')));
+    const skipped = files.length - images.length - texts.length;
+    const total = images.length + texts.length;
     
-    savedFileCount++;
-    localStorage.setItem('savedFileCount', savedFileCount);
-    updateStats();
-});
-
-// 日期时间插入功能
-const datetimeBtn = document.getElementById('datetime-btn');
-
-if (datetimeBtn) {
-    datetimeBtn.addEventListener('click', function() {
-        const now = new Date();
-        const year = now.getFullYear();
-        const month = String(now.getMonth() + 1).padStart(2, '0');
-        const day = String(now.getDate()).padStart(2, '0');
-        const hours = String(now.getHours()).padStart(2, '0');
-        const minutes = String(now.getMinutes()).padStart(2, '0');
-        const seconds = String(now.getSeconds()).padStart(2, '0');
-        
-        const datetimeStr = `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
+    if (total === 0) {
+        showToast('不支持的文件类型，仅支持 Markdown、文本和图片文件');
+        return;
+    }
+    
+    const insertTexts = texts.length === 0 || confirm(
+        `确定要把 ${texts.length} 个文本文件插入到放置位置吗？\n\n选择"取消"将在新标签中分别打开。`
+    );
+    
+    const targetDocId = activeDocumentId;
+    const pieces = [];
+    const newDocuments = [];
+    const failed = [];
+    let processed = 0;
+    
+    for (const file of files) {
+        const isImage = images.includes(file);
+        if (!isImage && !texts.includes(file)) continue;
         
-        const start = editor.selectionStart;
-        const end = editor.selectionEnd;
-        const beforeText = editor.value.substring(0, start);
-        const afterText = editor.value.substring(end);
+        processed++;
+        if (total > 1) {
+            showToast(`正在导入 ${processed}/${total}：${file.name}`);
+        }
         
-        editor.value = beforeText + datetimeStr + afterText;
+        try {
+            if (isImage) {
+                const id = await saveAsset(file, file.name);
+                pieces.push(buildAssetMarkdown(id, file.name));
+            } else if (insertTexts) {
+                pieces.push(await file.text());
+            } else {
+                newDocuments.push({ name: file.name, content: await file.text() });
+            }
+        } catch (e) {
+            console.error('导入文件失败:', e);
+            failed.push(file.name);
+            showToast(`导入 ${file.name} 失败：${describeStorageError(e)}`, 5000);
+        }
+    }
+    
+    // 处理期间用户切换了文档时，改为插入到当前文档的光标处
+    if (pieces.length > 0) {
+        const insertAt = activeDocumentId === targetDocId ? Math.min(position, editor.value.length) : editor.selectionStart;
+        const before = editor.value.slice(0, insertAt);
+        const prefix = before && !before.endsWith('\n') ? '\n' : '';
+        const text = prefix + pieces.join('\n\n') + '\n';
         editor.focus();
-        editor.setSelectionRange(start + datetimeStr.length, start + datetimeStr.length);
-        editor.dispatchEvent(new Event('input'));
-        
-        showToast('已插入日期时间');
+        editorReplaceRange(insertAt, insertAt, text);
+    }
+    
+    newDocuments.forEach(({ name, content }) => {
+        const doc = addDocument(getFileBaseName(name), content);
+        doc.fileName = name;
+        persistDocuments();
     });
+    if (newDocuments.length > 0) {
+        renderDocumentTabs();
+    }
+    
+    const skippedNote = skipped > 0 ? `，跳过 ${skipped} 个不支持的文件` : '';
+    if (failed.length > 0) {
+        showToast(`已导入 ${total - failed.length} 个文件，${failed.length} 个失败（${failed.join('、')}）${skippedNote}`, 5000);
+    } else {
+        showToast(`已导入 ${total} 个文件${skippedNote}`);
+    }
 }
 
-// 导入Markdown文件功能
-const importMdBtn = document.getElementById('import-md-btn');
-const mdFileInput = document.getElementById('md-file-input');
-
-importMdBtn.addEventListener('click', function() {
-    mdFileInput.click();
-});
-
-mdFileInput.addEventListener('change', function(e) {
-    const file = e.target.files[0];
-    if (file) {
-        const reader = new FileReader();
-        reader.onload = function(event) {
-            editor.value = event.target.result;
-            preview.innerHTML = marked.parse(event.target.result);
-            showToast(`已导入文件: ${file.name}`);
-        };
-        reader.readAsText(file);
-    }
-    // 清空文件输入，允许重复导入同一文件
-    mdFileInput.value = '';
+[editor, preview].forEach(target => {
+    target.addEventListener('dragover', function(e) {
+        if (!isFileDrag(e)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        target.classList.add('drop-target');
+    });
+    
+    target.addEventListener('dragleave', function() {
+        target.classList.remove('drop-target');
+    });
+    
+    target.addEventListener('drop', function(e) {
+        target.classList.remove('drop-target');
+        if (!isFileDrag(e) || e.dataTransfer.files.length === 0) return;
+        e.preventDefault();
+        
+        // 拖到编辑器时插入到放置位置，拖到预览区时插入到当前光标处
+        const position = target === editor ? getEditorOffsetFromPoint(e.clientX, e.clientY) : editor.selectionStart;
+        importDroppedFiles(Array.from(e.dataTransfer.files), position);
+    });
 });
 
 // 复制预览内容功能
+// 复制的 HTML 与导出一样经过过滤，本地图片内嵌为 data URL，粘贴到其他应用时也能显示
+// 文档样式写入行内 style，粘贴后的排版与导出一致
 document.getElementById('copy-preview-btn').addEventListener('click', function() {
-    const previewContent = document.getElementById('preview').innerHTML;
-    
-    // 创建一个临时div来包裹内容
-    const tempDiv = document.createElement('div');
-    tempDiv.innerHTML = previewContent;
+    const htmlPromise = waitForDiagrams()
+        .then(() => inlineAssetImages(getExportPreviewHtml()))
+        .then(inlineDocumentStyles);
+    const textPromise = htmlPromise.then(html => {
+        const tempDiv = document.createElement('div');
+        tempDiv.innerHTML = html;
+        return tempDiv.textContent;
+    });
     
     // 使用clipboard API复制HTML内容
+    // ClipboardItem 直接接收 Promise，避免异步处理期间丢失用户激活状态
     const clipboardItem = new ClipboardItem({
-        'text/html': new Blob([previewContent], { type: 'text/html' }),
-        'text/plain': new Blob([tempDiv.textContent], { type: 'text/plain' })
+        'text/html': htmlPromise.then(html => new Blob([html], { type: 'text/html' })),
+        'text/plain': textPromise.then(text => new Blob([text], { type: 'text/plain' }))
     });
     
     navigator.clipboard.write([clipboardItem]).then(() => {
@@ -1071,7 +6510,10 @@ document.getElementById('copy-preview-btn').addEventListener('click', function()
 });
 
 // 字数统计功能 (优化版 - 使用防抖)
-const debouncedUpdateWordCount = debounce(() => {
+/**
+ * 更新预览区标题栏的字数和段落统计
+ */
+function updateWordCount() {
     const content = editor.value;
     const words = content.length;
     const paragraphs = content.split('\n').filter(p => p.trim()).length;
@@ -1080,7 +6522,9 @@ const debouncedUpdateWordCount = debounce(() => {
     if (wordCountInfo) {
         wordCountInfo.textContent = `${words} 字 · ${paragraphs} 段落`;
     }
-}, 300);
+}
+
+const debouncedUpdateWordCount = debounce(updateWordCount, 300);
 
 // 监听编辑器输入更新字数统计
 editor.addEventListener('input', debouncedUpdateWordCount);
@@ -1777,17 +7221,17 @@ const todoList = document.getElementById('todo-list');
 const todoCount = document.getElementById('todo-count');
 const clearCompletedBtn = document.getElementById('clear-completed-btn');
 
-let todos = JSON.parse(localStorage.getItem('todos')) || [];
+let todos = [];
 
-// 优化：使用防抖减少频繁的 localStorage 写入
+// 优化：使用防抖减少频繁的序列化和存储写入
 const debouncedSaveTodos = debounce(() => {
-    localStorage.setItem('todos', JSON.stringify(todos));
+    queueSaveData('todos', JSON.stringify(todos));
 }, 300);
 
 /**
- * 保存待办事项到 localStorage
+ * 保存待办事项到存储层
  * 
- * 使用防抖函数减少频繁的 localStorage 写入。
+ * 使用防抖函数减少频繁的存储写入。
  */
 function saveTodos() {
     debouncedSaveTodos();
@@ -1995,12 +7439,19 @@ if (exportTodosBtn) {
 
 renderTodos();
 
+// 存储层就绪后加载待办事项
+storageReady.then(() => {
+    todos = JSON.parse(storageGetItem('todos')) || [];
+    renderTodos();
+    updateStats();
+});
+
 // 便签功能
 const addNoteBtn = document.getElementById('add-note-btn');
 const clearNotesBtn = document.getElementById('clear-notes-btn');
 const notesContainer = document.getElementById('notes-container');
 
-let notes = JSON.parse(localStorage.getItem('notes')) || [];
+let notes = [];
 let resizeObserver = null;
 let dragState = {
     isDragging: false,
@@ -2011,15 +7462,15 @@ let dragState = {
     initialY: 0
 };
 
-// 优化：使用防抖减少频繁的 localStorage 写入
+// 优化：使用防抖减少频繁的序列化和存储写入
 const debouncedSaveNotes = debounce(() => {
-    localStorage.setItem('notes', JSON.stringify(notes));
+    queueSaveData('notes', JSON.stringify(notes));
 }, 300);
 
 /**
- * 保存便签到 localStorage
+ * 保存便签到存储层
  * 
- * 使用防抖函数减少频繁的 localStorage 写入。
+ * 使用防抖函数减少频繁的存储写入。
  */
 function saveNotes() {
     debouncedSaveNotes();
@@ -2243,6 +7694,13 @@ clearNotesBtn.addEventListener('click', function() {
 
 renderNotes();
 
+// 存储层就绪后加载便签
+storageReady.then(() => {
+    notes = JSON.parse(storageGetItem('notes')) || [];
+    renderNotes();
+    updateStats();
+});
+
 // 颜色转换器功能
 const colorPicker = document.getElementById('color-picker');
 const colorPreviewBox = document.getElementById('color-preview-box');
@@ -2410,7 +7868,10 @@ function showToast(message, duration = 3000) {
     
     const toast = document.createElement('div');
     toast.className = 'toast';
-    toast.innerHTML = `<span>✓</span> ${message}`;
+    // 消息中可能包含文件名等外部文本，只作为纯文本插入
+    const icon = document.createElement('span');
+    icon.textContent = '✓';
+    toast.append(icon, ` ${message}`);
     document.body.appendChild(toast);
     
     setTimeout(() => {
@@ -2546,6 +8007,105 @@ themeOptions.forEach(option => {
     });
 });
 
+// HTML 过滤允许列表
+const sanitizeTagsInput = document.getElementById('sanitize-tags-input');
+const sanitizeAttributesInput = document.getElementById('sanitize-attributes-input');
+
+/**
+ * 把当前允许列表填入设置表单
+ */
+function fillSanitizeSettingsForm() {
+    sanitizeTagsInput.value = sanitizeSettings.tags.join(', ');
+    sanitizeAttributesInput.value = sanitizeSettings.attributes.join(', ');
+}
+
+/**
+ * 解析以逗号或空白分隔的名称列表
+ * 
+ * @param {string} text - 输入文本
+ * @returns {string[]} 去重后的小写名称
+ */
+function parseAllowlist(text) {
+    return [...new Set(text.toLowerCase().split(/[\s,，]+/).filter(Boolean))];
+}
+
+fillSanitizeSettingsForm();
+
+document.getElementById('sanitize-save-btn').addEventListener('click', function() {
+    const tags = parseAllowlist(sanitizeTagsInput.value);
+    const attributes = parseAllowlist(sanitizeAttributesInput.value);
+    
+    const invalid = [...tags, ...attributes].filter(name => !/^[a-z][a-z0-9-]*$/.test(name));
+    if (invalid.length > 0) {
+        showToast(`无效的名称：${invalid.slice(0, 5).join(', ')}`);
+        return;
+    }
+    const forbidden = [
+        ...tags.filter(tag => SANITIZE_FORBIDDEN_TAGS.includes(tag)),
+        ...attributes.filter(attr => SANITIZE_FORBIDDEN_ATTRIBUTE_PATTERN.test(attr))
+    ];
+    if (forbidden.length > 0) {
+        showToast(`${forbidden.slice(0, 5).join(', ')} 不能加入允许列表，需要原始 HTML 时请将文档标记为受信任`, 5000);
+        return;
+    }
+    
+    sanitizeSettings = { tags, attributes };
+    localStorage.setItem('sanitizeSettings', JSON.stringify(sanitizeSettings));
+    fillSanitizeSettingsForm();
+    renderPreview(editor.value);
+    showToast('HTML 过滤设置已应用');
+});
+
+document.getElementById('sanitize-reset-btn').addEventListener('click', function() {
+    localStorage.removeItem('sanitizeSettings');
+    sanitizeSettings = loadSanitizeSettings();
+    fillSanitizeSettingsForm();
+    renderPreview(editor.value);
+    showToast('已恢复默认的 HTML 过滤设置');
+});
+
+// 扩展语法开关
+const syntaxToggles = document.querySelectorAll('.syntax-toggle');
+
+/**
+ * 按当前设置更新扩展语法开关的状态
+ */
+function updateSyntaxToggles() {
+    syntaxToggles.forEach(toggle => {
+        const enabled = markdownSyntaxOptions[toggle.dataset.syntax];
+        toggle.querySelector('.toggle-switch').classList.toggle('active', enabled);
+        toggle.setAttribute('aria-checked', String(enabled));
+    });
+}
+
+updateSyntaxToggles();
+
+const tocDepthSelect = document.getElementById('toc-depth-select');
+tocDepthSelect.value = String(markdownSyntaxOptions.tocDepth);
+tocDepthSelect.addEventListener('change', function() {
+    markdownSyntaxOptions = { ...markdownSyntaxOptions, tocDepth: Number(this.value) };
+    localStorage.setItem('markdownSyntax', JSON.stringify(markdownSyntaxOptions));
+    renderPreview(editor.value);
+    showToast(`目录将包含 ${this.value} 级以内的标题`);
+});
+
+syntaxToggles.forEach(toggle => {
+    toggle.addEventListener('click', function() {
+        const key = this.dataset.syntax;
+        markdownSyntaxOptions = { ...markdownSyntaxOptions, [key]: !markdownSyntaxOptions[key] };
+        localStorage.setItem('markdownSyntax', JSON.stringify(markdownSyntaxOptions));
+        updateSyntaxToggles();
+        renderPreview(editor.value);
+        showToast('扩展语法设置已更新');
+    });
+    toggle.addEventListener('keydown', function(e) {
+        if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            this.click();
+        }
+    });
+});
+
 // 设置面板的深色模式切换
 settingsDarkMode.addEventListener('click', function() {
     themeToggle.click();
@@ -2573,18 +8133,27 @@ function updateStats() {
 const clearAllDataBtn = document.getElementById('clear-all-data-btn');
 
 clearAllDataBtn.addEventListener('click', function() {
-    if (confirm('确定要清除所有数据吗？此操作将删除：\n\n• 编辑器内容\n• 待办事项\n• 便签\n• 主题设置\n• 面板宽度\n• 保存进度\n• 所有其他本地数据\n\n此操作不可撤销！')) {
-        // 清除所有 localStorage 数据
+    if (confirm('确定要清除所有数据吗？此操作将删除：\n\n• 所有文档\n• 待办事项\n• 便签\n• 主题设置\n• 面板宽度\n• 保存进度\n• 所有其他本地数据\n\n此操作不可撤销！')) {
+        // 清除所有 localStorage 和 IndexedDB 数据，完成后通知其他标签页重新加载
         localStorage.clear();
+        storageClear()
+            .then(() => broadcastSync({ type: 'cleared' }))
+            .catch(e => console.error('清除数据失败:', e));
         
-        // 清空数据数组
+        // 清空数据数组和待保存队列
+        pendingSaveData = {};
         todos = [];
         notes = [];
         savedFileCount = 0;
         
-        // 清空编辑器
-        editor.value = '';
-        preview.innerHTML = '';
+        // 重置文档库并清空编辑器
+        undoHistories.clear();
+        fileRecords = [];
+        renderRecentFiles();
+        documents = [createDocument(getNextUntitledTitle())];
+        activeDocumentId = documents[0].id;
+        loadDocumentIntoEditor(documents[0]);
+        renderDocumentTabs();
         
         // 重置主题
         document.body.classList.remove('dark-mode', 'theme-lotus', 'theme-sunrise', 'theme-sunset', 'theme-garden');
@@ -2913,6 +8482,108 @@ if (currentTimestampBtn) {
     });
 }
 
+// ========================================
+// 离线支持 (PWA)
+// ========================================
+// sw.js 预缓存应用外壳和 vendor/ 下的第三方库，安装后断网也能打开编辑器。
+// 通过 file:// 直接打开时浏览器不允许注册 Service Worker，此时只能在线使用。
+const offlineStatus = document.getElementById('offline-status');
+let offlineReady = false;
+
+/**
+ * 更新状态栏中的离线状态标记
+ * 
+ * @param {string} [message] - 覆盖默认文字（用于不支持离线的情况）
+ */
+function updateOfflineStatus(message) {
+    if (!offlineStatus) return;
+
+    offlineStatus.hidden = false;
+    offlineStatus.classList.remove('ready', 'offline', 'unavailable');
+
+    if (message) {
+        offlineStatus.textContent = message;
+        offlineStatus.classList.add('unavailable');
+        offlineStatus.title = '需要通过 HTTP(S) 服务器打开并使用支持 Service Worker 的浏览器';
+    } else if (!navigator.onLine) {
+        offlineStatus.textContent = offlineReady ? '离线模式' : '已断网';
+        offlineStatus.classList.add('offline');
+        offlineStatus.title = offlineReady
+            ? '当前无网络连接，编辑和保存不受影响'
+            : '当前无网络连接，离线缓存尚未就绪，刷新页面可能无法打开';
+    } else if (offlineReady) {
+        offlineStatus.textContent = '可离线使用';
+        offlineStatus.classList.add('ready');
+        offlineStatus.title = '应用已缓存到本地，断网时也可以打开和编辑';
+    } else {
+        offlineStatus.hidden = true;
+    }
+}
+
+/**
+ * 新版本的 Service Worker 安装完成后询问是否立即刷新
+ * 
+ * @param {ServiceWorker} worker - 处于 waiting 状态的新版本
+ */
+function promptServiceWorkerUpdate(worker) {
+    if (!confirm('编辑器有新版本可用，是否立即刷新页面？\n\n未保存的内容会在刷新前自动保存。')) {
+        showToast('新版本将在下次打开时生效');
+        return;
+    }
+
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        window.location.reload();
+    }, { once: true });
+    worker.postMessage({ type: 'skipWaiting' });
+}
+
+/**
+ * 注册 Service Worker 并跟踪离线缓存状态
+ */
+async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) {
+        updateOfflineStatus('离线不可用');
+        return;
+    }
+
+    try {
+        const registration = await navigator.serviceWorker.register('sw.js');
+
+        // 已有旧版本控制页面时，新版本安装完成即为可更新
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    promptServiceWorkerUpdate(worker);
+                }
+            });
+        });
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            promptServiceWorkerUpdate(registration.waiting);
+        }
+
+        await navigator.serviceWorker.ready;
+        offlineReady = true;
+        updateOfflineStatus();
+    } catch (error) {
+        console.error('Service Worker 注册失败:', error);
+        updateOfflineStatus('离线不可用');
+    }
+}
+
+window.addEventListener('online', () => {
+    updateOfflineStatus();
+    showToast('网络已恢复');
+});
+
+window.addEventListener('offline', () => {
+    updateOfflineStatus();
+    showToast(offlineReady ? '网络已断开，已切换到离线模式' : '网络已断开');
+});
+
+registerServiceWorker();
+
 // ========================================
 // 统一的键盘事件处理器
 // ========================================
@@ -2938,6 +8609,10 @@ document.addEventListener('keydown', function(e) {
                 fullscreenBtn.classList.remove('active');
             }
             showToast('已退出全屏');
+        } else if (historyPanel.classList.contains('show')) {
+            closeHistoryPanel();
+        } else if (backupImportPanel.classList.contains('show')) {
+            closeBackupImportPanel();
         } else if (searchBar && searchBar.style.display !== 'none') {
             toggleSearchBar();
         } else if (!isInputFocused) {
@@ -2956,19 +8631,32 @@ document.addEventListener('keydown', function(e) {
         return;
     }
     
-    // Ctrl+S: 保存文件
-    if ((e.ctrlKey || e.metaKey) && e.key === 's') {
+    // Ctrl+O: 打开文件
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'o') {
+        e.preventDefault();
+        openFile();
+        return;
+    }
+    
+    // Ctrl+S: 保存文件；Ctrl+Shift+S: 另存为
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 's') {
         e.preventDefault();
         if (e.shiftKey) {
-            document.getElementById('save-md-btn').click();
-            showToast('已保存为Markdown文件');
+            saveFileAs();
         } else {
-            document.getElementById('save-html-btn').click();
-            showToast('已保存为HTML文件');
+            saveFile();
         }
         return;
     }
     
+    // Ctrl+Shift+E: 导出为 HTML
+    if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key.toLowerCase() === 'e') {
+        e.preventDefault();
+        document.getElementById('save-html-btn').click();
+        showToast('已保存为HTML文件');
+        return;
+    }
+    
     // Ctrl+Shift+P: 保存进度
     if (e.ctrlKey && e.shiftKey && e.key === 'P') {
         e.preventDefault();
@@ -2987,6 +8675,13 @@ document.addEventListener('keydown', function(e) {
         return;
     }
     
+    // Ctrl+Shift+H: 版本历史
+    if (e.ctrlKey && e.shiftKey && e.key === 'H') {
+        e.preventDefault();
+        openHistoryPanel();
+        return;
+    }
+    
     // 如果在输入框中，不处理其他快捷键
     if (isInputFocused) return;
     
@@ -0,0 +1,141 @@
+/**
+ * Markdown 办公编辑器 - Service Worker
+ * ====================================
+ *
+ * 预缓存应用外壳 (HTML、CSS、脚本和本地化的第三方库)，使编辑器在断网时也能打开。
+ *
+ * 缓存策略:
+ * - 页面导航: 优先请求网络，失败时使用缓存的 index.html
+ * - 其他同源 GET 请求: 先返回缓存，同时在后台更新缓存 (stale-while-revalidate)
+ *
+ * 修改 APP_SHELL 中的任何文件后都需要递增 CACHE_VERSION，
+ * 否则已安装的客户端会一直使用旧缓存。
+ */
+
+const CACHE_VERSION = 16;
+const CACHE_NAME = `cool-markdown-v${CACHE_VERSION}`;
+
+// 应用外壳: 离线运行所需的全部文件
+const APP_SHELL = [
+    './',
+    './index.html',
+    './style.css',
+    './script.js',
+    './markdown-pipeline.js',
+    './render-worker.js',
+    './manifest.webmanifest',
+    './icons/icon.svg',
+    './vendor/marked/marked.umd.js',
+    './vendor/highlight.js/highlight.min.js',
+    './vendor/dompurify/purify.min.js',
+    './vendor/katex/katex.min.js',
+    './vendor/katex/katex.min.css',
+    './vendor/katex/fonts/KaTeX_AMS-Regular.woff2',
+    './vendor/katex/fonts/KaTeX_Caligraphic-Bold.woff2',
+    './vendor/katex/fonts/KaTeX_Caligraphic-Regular.woff2',
+    './vendor/katex/fonts/KaTeX_Fraktur-Bold.woff2',
+    './vendor/katex/fonts/KaTeX_Fraktur-Regular.woff2',
+    './vendor/katex/fonts/KaTeX_Main-Bold.woff2',
+    './vendor/katex/fonts/KaTeX_Main-BoldItalic.woff2',
+    './vendor/katex/fonts/KaTeX_Main-Italic.woff2',
+    './vendor/katex/fonts/KaTeX_Main-Regular.woff2',
+    './vendor/katex/fonts/KaTeX_Math-BoldItalic.woff2',
+    './vendor/katex/fonts/KaTeX_Math-Italic.woff2',
+    './vendor/katex/fonts/KaTeX_SansSerif-Bold.woff2',
+    './vendor/katex/fonts/KaTeX_SansSerif-Italic.woff2',
+    './vendor/katex/fonts/KaTeX_SansSerif-Regular.woff2',
+    './vendor/katex/fonts/KaTeX_Script-Regular.woff2',
+    './vendor/katex/fonts/KaTeX_Size1-Regular.woff2',
+    './vendor/katex/fonts/KaTeX_Size2-Regular.woff2',
+    './vendor/katex/fonts/KaTeX_Size3-Regular.woff2',
+    './vendor/katex/fonts/KaTeX_Size4-Regular.woff2',
+    './vendor/katex/fonts/KaTeX_Typewriter-Regular.woff2',
+    './vendor/mermaid/mermaid.min.js',
+    // 按需加载的代码高亮语言（与 markdown-pipeline.js 中的 LAZY_HIGHLIGHT_LANGUAGES 一致）
+    ...[
+        'apache', 'arduino', 'awk', 'clojure', 'cmake', 'dart', 'dockerfile', 'dos', 'elixir',
+        'elm', 'erlang', 'fortran', 'fsharp', 'glsl', 'gradle', 'groovy', 'handlebars', 'haskell',
+        'http', 'julia', 'latex', 'lisp', 'llvm', 'matlab', 'nginx', 'nix', 'ocaml', 'powershell',
+        'properties', 'protobuf', 'scala', 'scheme', 'tcl', 'verilog', 'vhdl', 'vim', 'x86asm'
+    ].map(name => `./vendor/highlight.js/languages/${name}.min.js`)
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache => cache.addAll(APP_SHELL))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => key.startsWith('cool-markdown-') && key !== CACHE_NAME)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// 页面收到用户确认后发送该消息，让等待中的新版本立即接管
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'skipWaiting') {
+        self.skipWaiting();
+    }
+});
+
+/**
+ * 页面导航请求: 网络优先，断网时返回缓存的首页
+ *
+ * @param {Request} request - 导航请求
+ * @returns {Promise<Response>} 响应
+ */
+async function handleNavigation(request) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put('./index.html', response.clone());
+        }
+        return response;
+    } catch (error) {
+        return (await cache.match(request, { ignoreSearch: true }))
+            || (await cache.match('./index.html'))
+            || Response.error();
+    }
+}
+
+/**
+ * 静态资源请求: 先返回缓存，同时在后台从网络更新
+ *
+ * @param {Request} request - 资源请求
+ * @returns {Promise<Response>} 响应
+ */
+async function handleAsset(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok) {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached || Response.error());
+
+    return cached || network;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request));
+    } else {
+        event.respondWith(handleAsset(request));
+    }
+});